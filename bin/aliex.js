@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// aliex: the command line interface (see lib/cli.js)
+// stdout carries the output, so logs go to stderr and only warnings are
+// logged unless LOG_LEVEL says otherwise. Both are read when the logger is
+// created, hence the dynamic import.
+process.env.LOG_STREAM = process.env.LOG_STREAM || 'stderr';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { main } = await import('../lib/cli.js');
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,21 @@
+// Library entry point: the scraping core without the HTTP server.
+// Importing this module starts nothing; createApp() builds the API server's
+// Express app for callers that want to mount or listen on it themselves.
+export { extractProductId, isAliExpressProductUrl, resolveProductUrl, canonicalProductUrl } from './lib/urls.js';
+export { parseProductHtml } from './lib/parse.js';
+export { createProductFetcher, createProductFetcherFromEnv, fetchAliExpressProduct } from './lib/product.js';
+export { normalizeProduct } from './lib/normalize.js';
+export { SCHEMA_VERSION, validateSchema, openApiDocument } from './lib/openapi.js';
+export { ERROR_CODES, ScrapeError } from './lib/errors.js';
+export { createOutboundPool, createOutboundPoolFromEnv } from './lib/http.js';
+export { ALLOWED_DOMAINS, assertAllowedUrl, safeFetch } from './lib/safe-fetch.js';
+export { LOCALES, DEFAULT_LOCALE, normalizeCountry, normalizeLocale } from './lib/region.js';
+export { convertProductPrices, loadRates } from './lib/money.js';
+export { fetchDescription } from './lib/description.js';
+export { fetchReviews, filterReviews } from './lib/reviews.js';
+export { fetchStoreProducts, parseStoreProducts } from './lib/store.js';
+export { fetchSearchResults, parseSearchResults } from './lib/search.js';
+export { FORMATS as EXPORT_FORMATS, csvLines, jsonFeed } from './lib/export.js';
+export { normalizeProfile, applyPricing } from './lib/pricing.js';
+export { compareProducts, normalizeWeights } from './lib/compare.js';
+export { createApp } from './lib/app.js';
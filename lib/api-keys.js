@@ -0,0 +1,221 @@
+// API keys, per-key rate limits and daily quotas
+// Keys live in a local JSON file (API_KEYS_FILE, default config/api-keys.json):
+// { "keys": [{ "name": "shop-a", "key": "...", "rateLimit": { "capacity": 30,
+//   "refillPerSecond": 0.5 }, "dailyQuota": 1000, "corsOrigins": ["https://shop-a.example"],
+//   "admin": false, "disabled": false }] }
+import { readFileSync } from 'node:fs';
+import { logger } from './logger.js';
+
+const DEFAULT_RATE_LIMIT = { capacity: 30, refillPerSecond: 0.5 };
+
+function loadApiKeys(file = process.env.API_KEYS_FILE || new URL('../config/api-keys.json', import.meta.url)) {
+    let config;
+    try {
+        config = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw new Error(`Could not read API keys from ${file}: ${e.message}`);
+    }
+
+    const keys = (config.keys || []).filter(entry => !entry.disabled);
+    for (const entry of keys) {
+        if (!entry.key || !entry.name) {
+            throw new Error(`Every API key needs a "name" and a "key" (${file})`);
+        }
+    }
+    return keys.map(entry => ({
+        name: entry.name,
+        key: entry.key,
+        rateLimit: { ...DEFAULT_RATE_LIMIT, ...entry.rateLimit },
+        dailyQuota: entry.dailyQuota ?? null,
+        corsOrigins: entry.corsOrigins || [],
+        admin: Boolean(entry.admin)
+    }));
+}
+
+// Classic token bucket: `capacity` requests in a burst, refilled continuously
+function createTokenBucket({ capacity, refillPerSecond, now = Date.now }) {
+    let tokens = capacity;
+    let updatedAt = now();
+
+    function refill() {
+        const current = now();
+        tokens = Math.min(capacity, tokens + ((current - updatedAt) / 1000) * refillPerSecond);
+        updatedAt = current;
+    }
+
+    return {
+        // { allowed, retryAfter (seconds until a token is available) }
+        take() {
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                return { allowed: true, retryAfter: 0 };
+            }
+            return { allowed: false, retryAfter: Math.ceil((1 - tokens) / refillPerSecond) };
+        },
+        get tokens() {
+            refill();
+            return Math.floor(tokens);
+        }
+    };
+}
+
+function dayOf(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Seconds until the quota resets at midnight UTC
+function secondsUntilTomorrow(time) {
+    const midnight = new Date(time);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight - time) / 1000);
+}
+
+// Daily request counts per key name, persisted in a json-store. Counting is
+// in memory; writes are batched every flushMs.
+function createUsageTracker({ store, now = Date.now, historyDays = 30, flushMs = 5000 }) {
+    let counts = null;
+    let loading = null;
+    let timer = null;
+
+    function load() {
+        loading = loading || store.read().then(data => {
+            counts = structuredClone(data.usage || {});
+        });
+        return loading;
+    }
+
+    function scheduleFlush() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            flush().catch(error => logger.warn('Could not save usage', { error }));
+        }, flushMs);
+        timer.unref();
+    }
+
+    async function flush() {
+        await load();
+        const cutoff = dayOf(now() - historyDays * 24 * 60 * 60 * 1000);
+        await store.update(data => {
+            for (const days of Object.values(counts)) {
+                for (const day of Object.keys(days)) {
+                    if (day < cutoff) delete days[day];
+                }
+            }
+            data.usage = structuredClone(counts);
+        });
+    }
+
+    return {
+        load,
+        flush,
+        used(name) {
+            return counts?.[name]?.[dayOf(now())] || 0;
+        },
+        record(name) {
+            const day = dayOf(now());
+            counts[name] = counts[name] || {};
+            counts[name][day] = (counts[name][day] || 0) + 1;
+            scheduleFlush();
+        },
+        history(name) {
+            return { ...(counts?.[name] || {}) };
+        }
+    };
+}
+
+function allowsOrigin(entry, origin) {
+    return entry.corsOrigins.includes('*') || entry.corsOrigins.includes(origin);
+}
+
+function readKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// keys: from loadApiKeys; usage: a usage tracker. With no keys configured
+// every request is let through (local development).
+function createApiKeyAuth({ keys, usage, now = Date.now }) {
+    const byKey = new Map(keys.map(entry => [entry.key, entry]));
+    const buckets = new Map(keys.map(entry => [entry.name, createTokenBucket({ ...entry.rateLimit, now })]));
+
+    // For the cors() origin option: preflight requests carry no key, so an
+    // origin is allowed if any key allows it; the key itself is checked later
+    function isOriginAllowed(origin) {
+        if (keys.length === 0 || !origin) return true;
+        return keys.some(entry => allowsOrigin(entry, origin));
+    }
+
+    function middleware(req, res, next) {
+        if (keys.length === 0) return next();
+
+        const entry = byKey.get(readKey(req));
+        if (!entry) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Provide a valid API key in the X-API-Key header or as a Bearer token'
+            });
+        }
+
+        const origin = req.get('Origin');
+        if (origin && !allowsOrigin(entry, origin)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Origin not allowed',
+                message: `This API key may not be used from ${origin}`
+            });
+        }
+
+        usage.load().then(() => {
+            if (entry.dailyQuota !== null && usage.used(entry.name) >= entry.dailyQuota) {
+                res.set('Retry-After', String(secondsUntilTomorrow(now())));
+                return res.status(429).json({
+                    success: false,
+                    error: 'Daily quota exceeded',
+                    message: `This API key is limited to ${entry.dailyQuota} requests per day (resets at 00:00 UTC)`
+                });
+            }
+
+            const { allowed, retryAfter } = buckets.get(entry.name).take();
+            if (!allowed) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    error: 'Rate limit exceeded',
+                    message: `Too many requests, retry in ${retryAfter}s`
+                });
+            }
+
+            usage.record(entry.name);
+            if (entry.dailyQuota !== null) {
+                res.set('X-Quota-Remaining', String(Math.max(0, entry.dailyQuota - usage.used(entry.name))));
+            }
+            req.apiKey = entry;
+            next();
+        }).catch(next);
+    }
+
+    // Consumption of one key, as reported by GET /api/usage
+    function describe(entry) {
+        const used = usage.used(entry.name);
+        return {
+            name: entry.name,
+            today: {
+                used,
+                quota: entry.dailyQuota,
+                remaining: entry.dailyQuota === null ? null : Math.max(0, entry.dailyQuota - used)
+            },
+            rateLimit: { ...entry.rateLimit, tokens: buckets.get(entry.name).tokens },
+            history: usage.history(entry.name)
+        };
+    }
+
+    return { enabled: keys.length > 0, middleware, isOriginAllowed, describe, keys };
+}
+
+export { loadApiKeys, createTokenBucket, createUsageTracker, createApiKeyAuth };
@@ -0,0 +1,1295 @@
+// The API server's Express app
+// createApp() wires up the routes and their state (caches, job queues, key
+// usage) without listening or starting background work; aliexpress-api.js
+// starts the server and the watchlist schedule.
+import express from 'express';
+import { Readable, pipeline } from 'node:stream';
+import { randomUUID } from 'node:crypto';
+import cors from 'cors';
+import { parseProductHtml } from './parse.js';
+import { createProductFetcher } from './product.js';
+import { CANONICAL_ORIGIN, extractProductId, isAliExpressProductUrl, resolveProductUrl } from './urls.js';
+import { LOCALES, normalizeCountry, normalizeLocale, regionCookies } from './region.js';
+import { conversionErrors, convertProductPrices, hasRate, loadRates } from './money.js';
+import { fetchDescription } from './description.js';
+import { fetchReviews, filterReviews } from './reviews.js';
+import { extractStoreId, fetchStoreProducts, canonicalStoreUrl } from './store.js';
+import { CATEGORY_ID_PATTERN, SEARCH_MAX_PAGE, SORT_TYPES, fetchSearchResults } from './search.js';
+import { FORMATS as EXPORT_FORMATS, csvLines, jsonFeed, validateProducts } from './export.js';
+import { createImageMirror, imageKey } from './images.js';
+import { ScrapeError, errorResponse } from './errors.js';
+import { createOutboundPoolFromEnv, withRetry } from './http.js';
+import { createCacheFromEnv } from './cache.js';
+import { createJobQueue, describeJob } from './jobs.js';
+import { createJsonStore, dataPath } from './json-store.js';
+import { checkWebhookUrl, createWebhookSender } from './webhooks.js';
+import { createWatchlist } from './watchlist.js';
+import { createApiKeyAuth, createUsageTracker, loadApiKeys } from './api-keys.js';
+import { logger, withRequestContext } from './logger.js';
+import { metrics } from './metrics.js';
+import { openApiDocument, validateSchema } from './openapi.js';
+import { formatErrors } from './schema.js';
+import { normalizeProduct } from './normalize.js';
+import { applyPricing, createPricingProfiles } from './pricing.js';
+import { compareProducts, normalizeWeights } from './compare.js';
+
+// Configuration is read from the environment when the app is created. The
+// watchlist is exposed as app.locals.watchlist; scheduling its checks is up
+// to the caller.
+function createApp() {
+    const app = express();
+
+    // Request ID (X-Request-Id, reused when the caller sends a sane one), access
+    // log and request metrics. Everything logged while handling the request
+    // carries its ID.
+    app.use((req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : randomUUID();
+        const started = process.hrtime.bigint();
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            // Route templates, not raw paths, keep label cardinality bounded
+            const route = req.route ? req.baseUrl + req.route.path : req.baseUrl || 'unmatched';
+            metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            metrics.httpDuration.observe({ method: req.method, route }, seconds);
+            withRequestContext({ requestId }, () => {
+                logger.info('Request completed', { method: req.method, path: req.path, status: res.statusCode, durationMs: Math.round(seconds * 1000) });
+            });
+        });
+
+        withRequestContext({ requestId }, next);
+    });
+
+    // API keys with per-key rate limits, quotas and CORS origins (API_KEYS_FILE).
+    // Without a key file the API stays open, as in local development.
+    const apiKeyAuth = createApiKeyAuth({
+        keys: loadApiKeys(),
+        usage: createUsageTracker({ store: createJsonStore(dataPath('usage.json')) })
+    });
+    if (!apiKeyAuth.enabled) {
+        logger.warn('No API keys configured (API_KEYS_FILE); the API is open to anyone');
+    }
+    // Keyed responses must not be stored by shared caches or CDNs, which would
+    // hand them to callers without a key
+    const CACHE_SCOPE = apiKeyAuth.enabled ? 'private' : 'public';
+
+    app.use(cors({ origin: (origin, callback) => callback(null, apiKeyAuth.isOriginAllowed(origin)) }));
+    app.use(express.json({ limit: '5mb' }));
+    app.use(express.text({ type: 'text/html', limit: '5mb' }));
+
+    // Outbound identity pool and retry policy (see OUTBOUND_PROXIES, USER_AGENTS, FETCH_* env vars)
+    const outboundPool = createOutboundPoolFromEnv();
+    const FETCH_TIMEOUT_MS = parseInt(process.env.FETCH_TIMEOUT_MS || 30000);
+    const FETCH_MAX_BYTES = parseInt(process.env.FETCH_MAX_BYTES || 10 * 1024 * 1024);
+    const FETCH_RETRY = {
+        retries: parseInt(process.env.FETCH_RETRIES || 2),
+        baseDelayMs: parseInt(process.env.FETCH_RETRY_BASE_MS || 1000),
+        maxDelayMs: parseInt(process.env.FETCH_RETRY_MAX_MS || 10000)
+    };
+    const fetchAliExpressProduct = createProductFetcher({ outboundPool, timeoutMs: FETCH_TIMEOUT_MS, maxBytes: FETCH_MAX_BYTES, retry: FETCH_RETRY });
+
+    // { agent, userAgent } for one request to AliExpress outside the product fetcher
+    function outbound() {
+        const { agent, userAgent } = outboundPool.next();
+        return { agent, userAgent };
+    }
+
+    // Local exchange rates for the optional `currency` conversion (CURRENCY_RATES_FILE)
+    const currencyRates = loadRates();
+
+    // Product responses keyed by product ID (see CACHE_* env vars)
+    const productCache = createCacheFromEnv();
+
+    // Fetch through the product cache so batch items share it with single lookups.
+    // Shipping data differs per destination and content per language, so shipTo
+    // and locale are part of the key.
+    async function getCachedProduct(input, { shipTo = null, locale = null, ...options } = {}) {
+        const { id, canonicalUrl } = await resolveProductUrl(input, outbound());
+        const key = [id, shipTo, locale].filter(Boolean).join(':');
+        return productCache.get(key, () => fetchAliExpressProduct(canonicalUrl, { shipTo, locale }), options);
+    }
+
+    // At most this many languages in one multi-locale request (?locale=vi_VN,en_US)
+    const MAX_LOCALES = parseInt(process.env.MAX_LOCALES || 3);
+
+    // The localized parts of a product, for the translations of a multi-locale response
+    function translationOf(product) {
+        return { locale: product.locale, title: product.title, description: product.description, specs: product.specs, error: null };
+    }
+
+    async function getTranslation(url, { shipTo, locale, fresh }) {
+        try {
+            return translationOf((await getCachedProduct(url, { shipTo, locale, fresh })).value);
+        } catch (error) {
+            logger.warn('Failed to fetch translation', { url, locale, error });
+            return { locale: null, title: null, description: null, specs: [], error: error.message };
+        }
+    }
+
+    // Sanitized description document, cached alongside the product.
+    // A failed fetch is reported in the payload rather than failing the product.
+    async function getFullDescription(productId, descriptionUrl) {
+        if (!descriptionUrl) {
+            return { sourceUrl: null, html: '', text: '', images: [], error: 'No description URL on the product page' };
+        }
+        try {
+            return (await productCache.get(`${productId}:description`, () => fetchDescription(descriptionUrl, outbound()))).value;
+        } catch (error) {
+            logger.warn('Failed to fetch description', { productId, error });
+            return { sourceUrl: descriptionUrl, html: '', text: '', images: [], error: error.message };
+        }
+    }
+
+    // Reviews paging (see REVIEWS_* env vars)
+    const REVIEWS_PAGE_SIZE = parseInt(process.env.REVIEWS_PAGE_SIZE || 20);
+    const REVIEWS_MAX_PAGE_SIZE = parseInt(process.env.REVIEWS_MAX_PAGE_SIZE || 50);
+
+    // Store catalogue paging (see STORE_MAX_PAGES)
+    const STORE_MAX_PAGES = parseInt(process.env.STORE_MAX_PAGES || 10);
+
+    // Local image mirror so shops need not hotlink the CDN (see IMAGE_* env vars)
+    const IMAGE_PROXY = process.env.IMAGE_PROXY === '1' || process.env.IMAGE_PROXY === 'true';
+    const imageMirror = IMAGE_PROXY ? createImageMirror({
+        dir: process.env.IMAGE_CACHE_DIR || dataPath('images'),
+        maxBytes: parseInt(process.env.IMAGE_MAX_BYTES || 10 * 1024 * 1024),
+        outboundPool
+    }) : null;
+
+    // Point product and variant images at our /api/images mirror
+    function proxyProductImages(product, baseUrl) {
+        const proxied = src => (imageKey(src) ? `${baseUrl}/api/images/${imageKey(src)}` : src);
+        return {
+            ...product,
+            images: product.images.map(proxied),
+            variants: product.variants.map(variant => (variant.image ? { ...variant, image: proxied(variant.image) } : variant))
+        };
+    }
+
+    // Dropship pricing profiles applied through ?pricingProfile=
+    const pricingProfiles = createPricingProfiles({ store: createJsonStore(dataPath('pricing-profiles.json')) });
+
+    // Listings per supplier comparison (see COMPARE_MAX_URLS)
+    const COMPARE_MAX_URLS = parseInt(process.env.COMPARE_MAX_URLS || 10);
+
+    // Batch imports (see BATCH_* env vars)
+    const BATCH_MAX_URLS = parseInt(process.env.BATCH_MAX_URLS || 200);
+    const batchJobs = createJobQueue({
+        worker: async (url, { shipTo }) => (await getCachedProduct(url, { shipTo })).value,
+        concurrency: parseInt(process.env.BATCH_CONCURRENCY || 3),
+        hostDelayMs: parseInt(process.env.BATCH_HOST_DELAY_MS || 1000),
+        // Mobile, regional and bare-ID inputs are all fetched from the canonical host
+        hostOf: () => new URL(CANONICAL_ORIGIN).host
+    });
+
+    // Price/availability watchlist (see WATCHLIST_* env vars)
+    const watchlist = createWatchlist({
+        store: createJsonStore(dataPath('watchlist.json')),
+        fetchProduct: async url => (await getCachedProduct(url, { fresh: true })).value,
+        webhooks: createWebhookSender({
+            urls: (process.env.WATCHLIST_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+            secret: process.env.WATCHLIST_WEBHOOK_SECRET || '',
+            timeoutMs: parseInt(process.env.WATCHLIST_WEBHOOK_TIMEOUT_MS || 10000)
+        }),
+        thresholds: {
+            pricePercent: parseFloat(process.env.WATCHLIST_PRICE_THRESHOLD_PERCENT || 0),
+            stockUnits: parseInt(process.env.WATCHLIST_STOCK_THRESHOLD || 1)
+        }
+    });
+
+    // API Routes
+
+    // Everything that fetches from AliExpress or changes our state needs an API key
+    app.use('/api/aliexpress', apiKeyAuth.middleware);
+    app.use('/api/v2', apiKeyAuth.middleware);
+    app.use('/api/pricing-profiles', apiKeyAuth.middleware);
+    app.use('/api/watchlist', apiKeyAuth.middleware);
+    app.use('/api/images', apiKeyAuth.middleware);
+
+    // Health check
+    app.get('/', (req, res) => {
+        res.json({
+            status: 'ok',
+            service: 'AliExpress Product API',
+            version: '1.0.0',
+            endpoints: {
+                fetchProduct: 'POST /api/aliexpress/product',
+                productById: 'GET /api/aliexpress/product/:id',
+                productReviews: 'GET /api/aliexpress/product/:id/reviews',
+                storeProducts: 'GET /api/aliexpress/store/:storeId/products',
+                search: 'GET /api/aliexpress/search?q=...&category=...&page=&sort=&minPrice=&maxPrice=&shipTo=',
+                parseProduct: 'POST /api/aliexpress/parse',
+                batchImport: 'POST /api/aliexpress/products/batch',
+                exportProducts: 'POST /api/aliexpress/export?format=shopify|woocommerce|json-feed',
+                compareProducts: 'POST /api/aliexpress/compare',
+                jobStatus: 'GET /api/aliexpress/jobs/:id',
+                watchlist: 'POST/GET /api/watchlist, DELETE /api/watchlist/:id',
+                watchlistHistory: 'GET /api/watchlist/:id/history',
+                pricingProfiles: 'POST/GET /api/pricing-profiles, GET/PUT/DELETE /api/pricing-profiles/:id',
+                imageProxy: 'GET /api/images/:key (when IMAGE_PROXY=1)',
+                usage: 'GET /api/usage',
+                metrics: 'GET /metrics',
+                health: 'GET /healthz'
+            },
+            // Versioned, schema-checked endpoints, as published in the OpenAPI document
+            v2: {
+                openapi: 'GET /openapi.json',
+                ...Object.fromEntries(Object.entries(openApiDocument().paths).flatMap(([path, operations]) => (
+                    Object.entries(operations).map(([method, operation]) => [operation.operationId, `${method.toUpperCase()} ${path}`])
+                )))
+            }
+        });
+    });
+
+    // OpenAPI document for /api/v2, for generating typed clients
+    app.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+    });
+
+    app.get('/healthz', (req, res) => {
+        res.send('ok');
+    });
+
+    // Prometheus scrape endpoint; set METRICS_TOKEN to require a bearer token
+    app.get('/metrics', (req, res) => {
+        if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'A valid metrics token is required'
+            });
+        }
+        res.type('text/plain; version=0.0.4');
+        res.send(metrics.registry.render());
+    });
+
+    // Typed scrape failures carry their own status; retryable ones say when to come back
+    function sendScrapeError(res, error) {
+        if (error.retryable) {
+            res.set('Retry-After', String(error.retryAfter || Math.ceil(FETCH_RETRY.maxDelayMs / 1000)));
+        }
+        return res.status(error.status).json(errorResponse(error));
+    }
+
+    // Consumption of the calling key; admin keys see every key
+    app.get('/api/usage', apiKeyAuth.middleware, (req, res) => {
+        if (!apiKeyAuth.enabled) {
+            return res.json({
+                success: true,
+                data: { authentication: false, keys: [] }
+            });
+        }
+
+        const entries = req.apiKey.admin ? apiKeyAuth.keys : [req.apiKey];
+        res.json({
+            success: true,
+            data: { authentication: true, keys: entries.map(apiKeyAuth.describe) }
+        });
+    });
+
+    // 400 with every schema violation, for /api/v2 request validation
+    function sendValidationError(res, errors) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            message: formatErrors(errors),
+            details: errors
+        });
+    }
+
+    // v2 payloads must match the published Product schema; a mismatch is our bug,
+    // so it is logged rather than failing the caller's request
+    function toV2Product(product) {
+        const normalized = normalizeProduct(product);
+        const errors = validateSchema('Product', normalized);
+        if (errors.length > 0) {
+            logger.error('Product response does not match the schema', { productId: normalized.productId, errors });
+        }
+        return normalized;
+    }
+
+    // Shared by the v1 and v2 product endpoints; normalize: answer with the v2 Product schema
+    async function respondWithProduct(req, res, input, params, { normalize = false } = {}) {
+        try {
+            // Validate URL
+            if (!isAliExpressProductUrl(input)) {
+                return sendScrapeError(res, new ScrapeError('INVALID_URL', 'Please provide a valid AliExpress product URL or ID'));
+            }
+
+            const shipTo = params.shipTo ? normalizeCountry(params.shipTo) : null;
+            if (params.shipTo && !shipTo) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid shipTo',
+                    message: 'shipTo must be a two-letter country code, e.g. "US"'
+                });
+            }
+
+            const currency = params.currency ? String(params.currency).toUpperCase() : null;
+            if (currency && !hasRate(currency, currencyRates)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported currency',
+                    message: `No exchange rate configured for ${currency}`
+                });
+            }
+
+            // locale: one language ("vi_VN"), or several ("vi_VN,en_US") to also
+            // get `translations`; the first one fills title, description and specs
+            const requestedLocales = params.locale ? String(params.locale).split(',').map(locale => locale.trim()) : [];
+            const locales = [...new Set(requestedLocales.map(normalizeLocale))];
+            if (locales.includes(null) || locales.length > MAX_LOCALES) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid locale',
+                    message: `locale must list up to ${MAX_LOCALES} of: ${Object.keys(LOCALES).join(', ')}`
+                });
+            }
+
+            // pricingProfile adds retailPrice, compareAtPrice and margin; a profile
+            // with its own currency has the prices converted to it first
+            let pricingProfile = null;
+            if (params.pricingProfile) {
+                pricingProfile = await pricingProfiles.get(String(params.pricingProfile));
+                if (!pricingProfile) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Unknown pricing profile',
+                        message: `No pricing profile "${params.pricingProfile}"; see GET /api/pricing-profiles`
+                    });
+                }
+                if (pricingProfile.currency && currency && currency !== pricingProfile.currency) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Currency mismatch',
+                        message: `Pricing profile "${pricingProfile.id}" prices in ${pricingProfile.currency}, not ${currency}`
+                    });
+                }
+                if (pricingProfile.currency && !hasRate(pricingProfile.currency, currencyRates)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Unsupported currency',
+                        message: `No exchange rate configured for ${pricingProfile.currency}`
+                    });
+                }
+            }
+            const targetCurrency = currency || pricingProfile?.currency || null;
+
+            let reference;
+            try {
+                reference = await resolveProductUrl(input, outbound());
+            } catch (error) {
+                // Short links that were refused, timed out or grew too large say so
+                if (error instanceof ScrapeError) return sendScrapeError(res, error);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid URL',
+                    message: error.message
+                });
+            }
+
+            // ?fresh=1 skips the cache and refetches the page
+            const fresh = req.query.fresh === '1' || req.query.fresh === 'true';
+
+            logger.info('Fetching product', { url: reference.canonicalUrl });
+            const locale = locales[0] || null;
+            const { value: productData, status, age } = await getCachedProduct(reference.canonicalUrl, { fresh, shipTo, locale });
+
+            let data = targetCurrency ? convertProductPrices(productData, targetCurrency, currencyRates) : productData;
+            if (pricingProfile) data = applyPricing(data, pricingProfile);
+
+            if (locales.length > 1) {
+                const translations = {};
+                for (const other of locales) {
+                    translations[other] = other === locale
+                        ? translationOf(productData)
+                        : await getTranslation(reference.canonicalUrl, { shipTo, locale: other, fresh });
+                }
+                data = { ...data, translations };
+            }
+
+            // includeDescription=full fetches the seller's rich description document
+            if (params.includeDescription === 'full') {
+                data = { ...data, fullDescription: await getFullDescription(reference.id, productData.descriptionUrl) };
+            }
+
+            // images=proxy rewrites image URLs to this server's mirror
+            if (params.images === 'proxy' && imageMirror) {
+                data = proxyProductImages(data, `${req.protocol}://${req.get('host')}`);
+            }
+
+            res.set('X-Cache', status);
+            res.set('Cache-Control', `${CACHE_SCOPE}, max-age=${Math.max(0, Math.round(productCache.ttl - age))}, stale-while-revalidate=${productCache.staleTtl}`);
+            res.json({
+                success: true,
+                data: normalize ? toV2Product(data) : data
+            });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            if (error instanceof ScrapeError) {
+                return sendScrapeError(res, error);
+            }
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to fetch product data',
+                message: error.message || 'Failed to fetch product data'
+            });
+        }
+    }
+
+    // Fetch product by URL (any AliExpress URL shape, short link or bare ID)
+    app.post('/api/aliexpress/product', (req, res) => {
+        const { url, shipTo, currency, includeDescription, images, pricingProfile, locale } = req.body || {};
+
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'URL is required',
+                message: 'Please provide a valid AliExpress product URL'
+            });
+        }
+
+        return respondWithProduct(req, res, url, { shipTo, currency, includeDescription, images, pricingProfile, locale });
+    });
+
+    // Fetch product by ID, e.g. GET /api/aliexpress/product/1005006123456789?shipTo=US
+    app.get('/api/aliexpress/product/:id', (req, res) => {
+        return respondWithProduct(req, res, req.params.id, req.query);
+    });
+
+    // Paginated buyer reviews, e.g.
+    // GET /api/aliexpress/product/1005006123456789/reviews?page=2&withPhotos=1&stars=4,5&country=US
+    app.get('/api/aliexpress/product/:id/reviews', async (req, res) => {
+        try {
+            let reference;
+            try {
+                reference = await resolveProductUrl(req.params.id, outbound());
+            } catch (error) {
+                if (error instanceof ScrapeError) return sendScrapeError(res, error);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid product ID',
+                    message: error.message
+                });
+            }
+
+            const page = parseInt(req.query.page || 1);
+            const pageSize = parseInt(req.query.pageSize || REVIEWS_PAGE_SIZE);
+            if (!(page >= 1) || !(pageSize >= 1 && pageSize <= REVIEWS_MAX_PAGE_SIZE)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid pagination',
+                    message: `page must be >= 1 and pageSize between 1 and ${REVIEWS_MAX_PAGE_SIZE}`
+                });
+            }
+
+            const stars = req.query.stars ? String(req.query.stars).split(',').map(star => parseInt(star)) : null;
+            if (stars && stars.some(star => !(star >= 1 && star <= 5))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid stars',
+                    message: 'stars must be a comma-separated list of 1-5, e.g. "4,5"'
+                });
+            }
+
+            const country = req.query.country ? normalizeCountry(req.query.country) : null;
+            if (req.query.country && !country) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid country',
+                    message: 'country must be a two-letter country code, e.g. "US"'
+                });
+            }
+
+            const withPhotos = req.query.withPhotos === '1' || req.query.withPhotos === 'true';
+            const fresh = req.query.fresh === '1' || req.query.fresh === 'true';
+
+            const key = `${reference.id}:reviews:${page}:${pageSize}:${withPhotos ? 'photos' : 'all'}:${country || 'all'}`;
+            const { value, status } = await productCache.get(key, () => (
+                withRetry(() => fetchReviews(reference.id, { page, pageSize, withPhotos, country }, {
+                    ...outbound(),
+                    timeoutMs: FETCH_TIMEOUT_MS,
+                    maxBytes: FETCH_MAX_BYTES
+                }), {
+                    ...FETCH_RETRY,
+                    onRetry: (error, retry, delay) => logger.warn('Retrying reviews', { productId: reference.id, code: error.code, retry, delayMs: delay })
+                })
+            ), { fresh });
+            const reviews = filterReviews(value.reviews, { withPhotos, stars, country });
+
+            res.set('X-Cache', status);
+            res.json({
+                success: true,
+                data: {
+                    productId: reference.id,
+                    page,
+                    pageSize,
+                    total: value.total,
+                    totalPages: value.totalPages,
+                    // The feedback endpoint cannot filter by stars, so that filter
+                    // narrows the requested page; the breakdown says how many
+                    // reviews have those stars in all
+                    starsTotal: stars ? stars.reduce((sum, star) => sum + (value.breakdown.stars[star] || 0), 0) : null,
+                    breakdown: value.breakdown,
+                    reviews
+                }
+            });
+        } catch (error) {
+            logger.error('Reviews request failed', { error });
+            if (error instanceof ScrapeError) {
+                metrics.scrapeErrors.inc({ code: error.code });
+                return sendScrapeError(res, error);
+            }
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to fetch reviews',
+                message: error.message || 'Failed to fetch reviews'
+            });
+        }
+    });
+
+    // A store's catalogue, e.g. GET /api/aliexpress/store/1101234567/products?page=1&pages=3
+    // pages > 1 walks consecutive catalogue pages and merges them
+    app.get('/api/aliexpress/store/:storeId/products', async (req, res) => {
+        try {
+            const storeId = extractStoreId(req.params.storeId);
+            if (!storeId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid store ID',
+                    message: 'Please provide a numeric AliExpress store ID'
+                });
+            }
+
+            const page = parseInt(req.query.page || 1);
+            const pages = parseInt(req.query.pages || 1);
+            if (!(page >= 1) || !(pages >= 1 && pages <= STORE_MAX_PAGES)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid pagination',
+                    message: `page must be >= 1 and pages between 1 and ${STORE_MAX_PAGES}`
+                });
+            }
+
+            const fresh = req.query.fresh === '1' || req.query.fresh === 'true';
+            const products = [];
+            let result = null;
+            let lastPage = page;
+            for (let current = page; current < page + pages; current++) {
+                logger.info('Fetching store catalogue page', { storeId, page: current });
+                result = (await productCache.get(`store:${storeId}:${current}`, () => (
+                    withRetry(() => fetchStoreProducts(storeId, {
+                        page: current,
+                        cookie: regionCookies(),
+                        ...outbound(),
+                        timeoutMs: FETCH_TIMEOUT_MS,
+                        maxBytes: FETCH_MAX_BYTES
+                    }), {
+                        ...FETCH_RETRY,
+                        onRetry: (error, retry, delay) => logger.warn('Retrying store page', { storeId, page: current, code: error.code, retry, delayMs: delay })
+                    })
+                ), { fresh })).value;
+                products.push(...result.products.filter(product => !products.some(existing => existing.id === product.id)));
+                lastPage = current;
+                if (!result.hasNextPage || result.products.length === 0) break;
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    storeId,
+                    storeUrl: canonicalStoreUrl(storeId),
+                    page,
+                    lastPage,
+                    total: result.total,
+                    totalPages: result.totalPages,
+                    hasNextPage: result.hasNextPage,
+                    nextPage: result.hasNextPage ? lastPage + 1 : null,
+                    products
+                }
+            });
+        } catch (error) {
+            logger.error('Store request failed', { error });
+            if (error instanceof ScrapeError) {
+                metrics.scrapeErrors.inc({ code: error.code });
+                return sendScrapeError(res, error);
+            }
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to fetch store products',
+                message: error.message || 'Failed to fetch store products'
+            });
+        }
+    });
+
+    // Keyword and/or category search, e.g.
+    // GET /api/aliexpress/search?q=usb+c+cable&sort=orders&minPrice=1&maxPrice=10&shipTo=US
+    app.get('/api/aliexpress/search', async (req, res) => {
+        try {
+            const q = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : null;
+            const category = req.query.category ? String(req.query.category) : null;
+            if (!q && !category) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Query is required',
+                    message: 'Please provide a keyword (?q=) and/or a numeric category ID (?category=)'
+                });
+            }
+            if (category && !CATEGORY_ID_PATTERN.test(category)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid category',
+                    message: 'category must be a numeric AliExpress category ID'
+                });
+            }
+
+            const page = parseInt(req.query.page || 1);
+            if (!(page >= 1 && page <= SEARCH_MAX_PAGE)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid pagination',
+                    message: `page must be between 1 and ${SEARCH_MAX_PAGE}`
+                });
+            }
+
+            const sort = req.query.sort || 'best-match';
+            if (!(sort in SORT_TYPES)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid sort',
+                    message: `sort must be one of: ${Object.keys(SORT_TYPES).join(', ')}`
+                });
+            }
+
+            const minPrice = req.query.minPrice !== undefined ? parseFloat(req.query.minPrice) : null;
+            const maxPrice = req.query.maxPrice !== undefined ? parseFloat(req.query.maxPrice) : null;
+            if ([minPrice, maxPrice].some(price => price !== null && !(price >= 0)) || (minPrice !== null && maxPrice !== null && minPrice > maxPrice)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid price range',
+                    message: 'minPrice and maxPrice must be non-negative numbers with minPrice <= maxPrice'
+                });
+            }
+
+            const shipTo = req.query.shipTo ? normalizeCountry(req.query.shipTo) : null;
+            if (req.query.shipTo && !shipTo) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid shipTo',
+                    message: 'shipTo must be a two-letter country code, e.g. "US"'
+                });
+            }
+
+            const params = { q, category, page, sort, minPrice, maxPrice };
+            const fresh = req.query.fresh === '1' || req.query.fresh === 'true';
+            logger.info('Searching products', { ...params, shipTo });
+            const { value: results, status } = await productCache.get(`search:${JSON.stringify(params)}:${shipTo || ''}`, () => (
+                withRetry(() => {
+                    const { agent, userAgent } = outboundPool.next();
+                    return fetchSearchResults(params, { cookie: regionCookies({ shipTo }), agent, userAgent, timeoutMs: FETCH_TIMEOUT_MS, maxBytes: FETCH_MAX_BYTES });
+                }, {
+                    ...FETCH_RETRY,
+                    onRetry: (error, retry, delay) => logger.warn('Retrying search', { code: error.code, retry, delayMs: delay })
+                })
+            ), { fresh });
+
+            res.set('X-Cache', status);
+            res.json({
+                success: true,
+                data: {
+                    ...params,
+                    shipTo,
+                    sourceUrl: results.sourceUrl,
+                    total: results.total,
+                    totalPages: results.totalPages,
+                    hasNextPage: results.hasNextPage && page < SEARCH_MAX_PAGE,
+                    nextPage: results.hasNextPage && page < SEARCH_MAX_PAGE ? page + 1 : null,
+                    products: results.products
+                }
+            });
+        } catch (error) {
+            logger.error('Search request failed', { error });
+            if (error instanceof ScrapeError) {
+                metrics.scrapeErrors.inc({ code: error.code });
+                return sendScrapeError(res, error);
+            }
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to search products',
+                message: error.message || 'Failed to search products'
+            });
+        }
+    });
+
+    // Queue many product URLs; poll GET /api/aliexpress/jobs/:id for results
+    app.post('/api/aliexpress/products/batch', (req, res) => {
+        const { urls } = req.body || {};
+
+        if (!Array.isArray(urls) || urls.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'URLs are required',
+                message: 'Please provide a non-empty array: { "urls": ["https://aliexpress.com/item/..."] }'
+            });
+        }
+
+        if (urls.length > BATCH_MAX_URLS) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many URLs',
+                message: `A batch may contain at most ${BATCH_MAX_URLS} URLs`
+            });
+        }
+
+        const shipTo = req.body.shipTo ? normalizeCountry(req.body.shipTo) : null;
+        if (req.body.shipTo && !shipTo) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid shipTo',
+                message: 'shipTo must be a two-letter country code, e.g. "US"'
+            });
+        }
+
+        const job = batchJobs.submit(urls, {
+            validate: url => (isAliExpressProductUrl(url) ? null : 'Invalid URL'),
+            options: { shipTo }
+        });
+        logger.info('Queued batch job', { jobId: job.id, total: job.total });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            statusUrl: `/api/aliexpress/jobs/${job.id}`
+        });
+    });
+
+    // Export products as a shop import file. Takes product URLs/IDs and/or
+    // product payloads already returned by this API:
+    // { "urls": [...], "products": [...], "shipTo": "US", "currency": "EUR" }
+    app.post('/api/aliexpress/export', async (req, res) => {
+        try {
+            const format = String(req.query.format || req.body?.format || 'shopify').toLowerCase();
+            if (!EXPORT_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid format',
+                    message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+                });
+            }
+
+            const { urls = [], products: payloads = [] } = req.body || {};
+            if (!Array.isArray(urls) || !Array.isArray(payloads) || urls.length + payloads.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Products are required',
+                    message: 'Please provide { "urls": [...] } and/or { "products": [...] }'
+                });
+            }
+
+            if (urls.length + payloads.length > BATCH_MAX_URLS) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Too many products',
+                    message: `An export may contain at most ${BATCH_MAX_URLS} products`
+                });
+            }
+
+            const payloadErrors = validateProducts(payloads);
+            if (payloadErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid product payload',
+                    message: `Each entry in "products" must be a product object as returned by this API: ${formatErrors(payloadErrors)}`,
+                    details: payloadErrors
+                });
+            }
+
+            const invalid = urls.filter(url => !isAliExpressProductUrl(url));
+            if (invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid URL',
+                    message: `Not AliExpress product URLs or IDs: ${invalid.join(', ')}`
+                });
+            }
+
+            const shipTo = req.body.shipTo ? normalizeCountry(req.body.shipTo) : null;
+            if (req.body.shipTo && !shipTo) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid shipTo',
+                    message: 'shipTo must be a two-letter country code, e.g. "US"'
+                });
+            }
+
+            const currency = req.body.currency ? String(req.body.currency).toUpperCase() : null;
+            if (currency && !hasRate(currency, currencyRates)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported currency',
+                    message: `No exchange rate configured for ${currency}`
+                });
+            }
+
+            // Supplied prices are checked before anything is fetched or streamed
+            const conversionProblems = currency ? payloads.flatMap((product, index) => conversionErrors(product, currency, currencyRates, `products[${index}]`)) : [];
+            if (conversionProblems.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unconvertible prices',
+                    message: `Cannot convert these prices to ${currency}: ${formatErrors(conversionProblems)}`,
+                    details: conversionProblems
+                });
+            }
+
+            // Fetch everything before streaming so failures can still be reported in headers
+            const products = [...payloads];
+            const failed = [];
+            for (const url of urls) {
+                try {
+                    const product = (await getCachedProduct(url, { shipTo })).value;
+                    // A page without a priced currency cannot be converted either
+                    if (currency && conversionErrors(product, currency, currencyRates).length > 0) {
+                        throw new Error(`Cannot convert the product's prices to ${currency}`);
+                    }
+                    products.push(product);
+                } catch (error) {
+                    logger.warn('Export could not fetch product', { url, error });
+                    failed.push(url);
+                }
+            }
+
+            if (products.length === 0) {
+                return res.status(502).json({
+                    success: false,
+                    error: 'No products fetched',
+                    message: 'None of the product URLs could be fetched'
+                });
+            }
+
+            const converted = currency ? products.map(product => convertProductPrices(product, currency, currencyRates)) : products;
+            if (failed.length > 0) res.set('X-Export-Failed', failed.join(' '));
+
+            if (format === 'json-feed') {
+                res.type('application/feed+json');
+                return res.send(JSON.stringify(jsonFeed(converted), null, 2));
+            }
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="aliexpress-${format}.csv"`);
+            // The status line is gone once rows flow; a failure can only cut the download short
+            pipeline(Readable.from(csvLines(format, converted)), res, error => {
+                if (error) logger.error('Export stream failed', { format, error });
+            });
+        } catch (error) {
+            logger.error('Export failed', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to export products',
+                message: error.message || 'Failed to export products'
+            });
+        }
+    });
+
+    // Compare listings of (presumably) the same item side by side, flag
+    // duplicates and recommend the best-value supplier:
+    // { "urls": [...], "shipTo": "US", "currency": "EUR", "weights": { "price": 0.5, "rating": 0.2 } }
+    app.post('/api/aliexpress/compare', async (req, res) => {
+        try {
+            const { urls } = req.body || {};
+            if (!Array.isArray(urls) || urls.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'URLs are required',
+                    message: 'Please provide at least two products: { "urls": ["https://aliexpress.com/item/...", ...] }'
+                });
+            }
+
+            if (urls.length > COMPARE_MAX_URLS) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Too many URLs',
+                    message: `A comparison may contain at most ${COMPARE_MAX_URLS} products`
+                });
+            }
+
+            const invalid = urls.filter(url => !isAliExpressProductUrl(url));
+            if (invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid URL',
+                    message: `Not AliExpress product URLs or IDs: ${invalid.join(', ')}`
+                });
+            }
+
+            const shipTo = req.body.shipTo ? normalizeCountry(req.body.shipTo) : null;
+            if (req.body.shipTo && !shipTo) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid shipTo',
+                    message: 'shipTo must be a two-letter country code, e.g. "US"'
+                });
+            }
+
+            const currency = req.body.currency ? String(req.body.currency).toUpperCase() : null;
+            if (currency && !hasRate(currency, currencyRates)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported currency',
+                    message: `No exchange rate configured for ${currency}`
+                });
+            }
+
+            const { weights, errors } = normalizeWeights(req.body.weights);
+            if (errors.length > 0) {
+                return sendValidationError(res, errors.map(error => ({ ...error, path: error.path === '(root)' ? 'weights' : `weights.${error.path}` })));
+            }
+
+            const products = [];
+            const failed = [];
+            for (const url of urls) {
+                try {
+                    const product = (await getCachedProduct(url, { shipTo })).value;
+                    // The same listing twice would only compare with itself
+                    if (products.some(other => other.productId === product.productId)) continue;
+                    // Prices are compared in the requested currency, else in the first product's
+                    const target = currency || products[0]?.salePrice.currency || product.salePrice.currency;
+                    products.push(normalizeProduct(convertProductPrices(product, target, currencyRates)));
+                } catch (error) {
+                    logger.warn('Comparison could not fetch product', { url, error });
+                    failed.push({ url, error: error.message });
+                }
+            }
+
+            if (products.length < 2) {
+                return res.status(502).json({
+                    success: false,
+                    error: 'Not enough products fetched',
+                    message: 'At least two different products are needed for a comparison',
+                    failed
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { ...compareProducts(products, { weights }), failed }
+            });
+        } catch (error) {
+            logger.error('Comparison failed', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to compare products',
+                message: error.message || 'Failed to compare products'
+            });
+        }
+    });
+
+    app.get('/api/aliexpress/jobs/:id', (req, res) => {
+        const job = batchJobs.get(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+                message: 'Unknown or expired job ID'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: describeJob(job)
+        });
+    });
+
+    // Mirrored product image, e.g. GET /api/images/S1a2b3c4d5e6f.jpg
+    app.get('/api/images/:key(*)', async (req, res) => {
+        if (!imageMirror) {
+            return res.status(404).json({
+                success: false,
+                error: 'Image proxy disabled',
+                message: 'Set IMAGE_PROXY=1 to enable the image mirror'
+            });
+        }
+
+        try {
+            const { body, contentType, cached } = await imageMirror.get(req.params.key);
+            res.set('Content-Type', contentType);
+            res.set('Cache-Control', `${CACHE_SCOPE}, max-age=31536000, immutable`);
+            res.set('X-Cache', cached ? 'HIT' : 'MISS');
+            res.send(body);
+        } catch (error) {
+            if (error.message === 'Invalid image key') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid image key',
+                    message: 'Expected a CDN image file name such as S1a2b3c4.jpg'
+                });
+            }
+            logger.warn('Image proxy failed', { key: req.params.key, error });
+            res.status(error.status === 404 ? 404 : 502).json({
+                success: false,
+                error: 'Image unavailable',
+                message: error.message
+            });
+        }
+    });
+
+    // Watchlist: register products to be refetched and compared on a schedule
+    app.post('/api/watchlist', async (req, res) => {
+        try {
+            const { url, webhookUrl } = req.body || {};
+
+            if (!isAliExpressProductUrl(url)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid URL',
+                    message: 'Please provide a valid AliExpress product URL'
+                });
+            }
+
+            // Signed requests must not be aimed at our own network
+            const webhookError = webhookUrl ? await checkWebhookUrl(String(webhookUrl)) : null;
+            if (webhookError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid webhookUrl',
+                    message: webhookError
+                });
+            }
+
+            const { canonicalUrl } = await resolveProductUrl(url, outbound());
+            const item = await watchlist.add(canonicalUrl, { webhookUrl });
+
+            // Record the baseline snapshot without making the client wait
+            watchlist.check(item.id).catch(error => logger.warn('Watchlist baseline failed', { productId: item.id, error }));
+
+            res.status(201).json({
+                success: true,
+                data: item
+            });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            if (error instanceof ScrapeError) return sendScrapeError(res, error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to add product to watchlist',
+                message: error.message || 'Failed to add product to watchlist'
+            });
+        }
+    });
+
+    app.get('/api/watchlist', async (req, res) => {
+        res.json({
+            success: true,
+            data: await watchlist.list()
+        });
+    });
+
+    app.delete('/api/watchlist/:id', async (req, res) => {
+        try {
+            if (!(await watchlist.remove(req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not found',
+                    message: 'Product is not on the watchlist'
+                });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to remove product from watchlist',
+                message: error.message || 'Failed to remove product from watchlist'
+            });
+        }
+    });
+
+    app.get('/api/watchlist/:id/history', async (req, res) => {
+        const history = await watchlist.history(req.params.id);
+
+        if (!history) {
+            return res.status(404).json({
+                success: false,
+                error: 'Not found',
+                message: 'Product is not on the watchlist'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: history
+        });
+    });
+
+    // Pricing profiles: { "name": "Default", "currency": "USD", "bands": [{ "upTo": 5,
+    // "markupPercent": 150, "fixedMarkup": 1 }, { "upTo": null, "markupPercent": 60 }],
+    // "passThroughShipping": true, "charmEnding": 0.99, "compareAt": { "from": "originalPrice" } }
+
+    app.get('/api/pricing-profiles', async (req, res) => {
+        res.json({
+            success: true,
+            data: await pricingProfiles.list()
+        });
+    });
+
+    app.get('/api/pricing-profiles/:id', async (req, res) => {
+        const profile = await pricingProfiles.get(req.params.id);
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Not found',
+                message: 'No pricing profile with this ID'
+            });
+        }
+        res.json({
+            success: true,
+            data: profile
+        });
+    });
+
+    app.post('/api/pricing-profiles', async (req, res) => {
+        try {
+            const { profile, errors, conflict } = await pricingProfiles.create(req.body ?? null);
+            if (errors) return sendValidationError(res, errors);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Already exists',
+                    message: 'A pricing profile with this ID exists; use PUT /api/pricing-profiles/:id to replace it'
+                });
+            }
+            res.status(201).json({
+                success: true,
+                data: profile
+            });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to save pricing profile',
+                message: error.message || 'Failed to save pricing profile'
+            });
+        }
+    });
+
+    app.put('/api/pricing-profiles/:id', async (req, res) => {
+        try {
+            const { profile, errors, created } = await pricingProfiles.replace(req.params.id, req.body ?? null);
+            if (errors) return sendValidationError(res, errors);
+            res.status(created ? 201 : 200).json({
+                success: true,
+                data: profile
+            });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to save pricing profile',
+                message: error.message || 'Failed to save pricing profile'
+            });
+        }
+    });
+
+    app.delete('/api/pricing-profiles/:id', async (req, res) => {
+        try {
+            if (!(await pricingProfiles.remove(req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not found',
+                    message: 'No pricing profile with this ID'
+                });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to delete pricing profile',
+                message: error.message || 'Failed to delete pricing profile'
+            });
+        }
+    });
+
+    // Parse already-fetched product page HTML without touching the network.
+    // Accepts a text/html body (URL in ?url=) or JSON: { "html": "...", "url": "..." }
+    app.post('/api/aliexpress/parse', (req, res) => {
+        try {
+            const html = typeof req.body === 'string' ? req.body : req.body?.html;
+            const url = req.query.url || req.body?.url || null;
+
+            if (!html || typeof html !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'HTML is required',
+                    message: 'Send the page as a text/html body or JSON: { "html": "<html>..." }'
+                });
+            }
+
+            const productData = parseProductHtml(html, { url });
+
+            res.json({
+                success: true,
+                data: productData
+            });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            // The page was supplied by the caller, so a captcha or removed-item page is their input problem
+            if (error instanceof ScrapeError) {
+                return res.status(422).json(errorResponse(error));
+            }
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to parse product HTML',
+                message: error.message || 'Failed to parse product HTML'
+            });
+        }
+    });
+
+    // Versioned API: validated requests, normalized responses (see GET /openapi.json)
+
+    app.post('/api/v2/product', (req, res) => {
+        const errors = validateSchema('ProductRequest', req.body ?? null);
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        const { url, ...params } = req.body;
+        return respondWithProduct(req, res, url, params, { normalize: true });
+    });
+
+    app.get('/api/v2/product/:id', (req, res) => {
+        const errors = validateSchema('ProductQuery', req.query);
+        if (errors.length > 0) return sendValidationError(res, errors);
+
+        return respondWithProduct(req, res, req.params.id, req.query, { normalize: true });
+    });
+
+    app.post('/api/v2/parse', (req, res) => {
+        try {
+            const errors = validateSchema('ParseRequest', req.is('application/json') ? req.body : null);
+            if (errors.length > 0) return sendValidationError(res, errors);
+
+            const { html, url = null } = req.body;
+            res.json({
+                success: true,
+                data: toV2Product({ ...parseProductHtml(html, { url }), productId: url ? extractProductId(url) : null, url })
+            });
+        } catch (error) {
+            logger.error('API request failed', { error });
+            if (error instanceof ScrapeError) {
+                return res.status(422).json(errorResponse(error));
+            }
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to parse product HTML',
+                message: error.message || 'Failed to parse product HTML'
+            });
+        }
+    });
+
+    app.locals.watchlist = watchlist;
+    return app;
+}
+
+export { createApp };
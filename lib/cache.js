@@ -0,0 +1,119 @@
+// Product response cache with TTL, stale-while-revalidate and request coalescing
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from './logger.js';
+
+// In-memory backend; oldest entries are evicted once maxEntries is reached
+function createMemoryStore({ maxEntries = 1000 } = {}) {
+    const entries = new Map();
+    return {
+        async get(key) {
+            return entries.get(key) || null;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+// File backend: one JSON file per key, survives restarts. Keys are hashed
+// for the file name; search keys are far longer than a file name may be.
+function createFileStore({ dir }) {
+    const fileFor = key => path.join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+    let ready = null;
+
+    return {
+        async get(key) {
+            try {
+                return JSON.parse(await readFile(fileFor(key), 'utf8'));
+            } catch (e) {
+                return null;
+            }
+        },
+        async set(key, entry) {
+            ready = ready || mkdir(dir, { recursive: true });
+            await ready;
+            await writeFile(fileFor(key), JSON.stringify(entry));
+        },
+        async delete(key) {
+            await unlink(fileFor(key)).catch(() => {});
+        }
+    };
+}
+
+// ttl: seconds an entry is fresh. staleTtl: extra seconds it may be served
+// while a background refresh runs. Concurrent loads of one key share a promise.
+function createCache({ store = createMemoryStore(), ttl = 600, staleTtl = 3600, now = Date.now } = {}) {
+    const inFlight = new Map();
+
+    function load(key, loader) {
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const promise = (async () => {
+            const value = await loader();
+            // The value was fetched fine; a full disk only costs the next caller a refetch
+            await store.set(key, { value, storedAt: now() }).catch(error => {
+                logger.warn('Could not write cache entry', { key, error });
+            });
+            return value;
+        })().finally(() => inFlight.delete(key));
+
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    // Returns { value, status, age } where status is HIT, STALE, MISS or BYPASS
+    async function get(key, loader, { fresh = false } = {}) {
+        if (!fresh) {
+            const entry = await store.get(key);
+            if (entry) {
+                const age = (now() - entry.storedAt) / 1000;
+                if (age < ttl) {
+                    return { value: entry.value, status: 'HIT', age };
+                }
+                if (age < ttl + staleTtl) {
+                    load(key, loader).catch(error => {
+                        logger.warn('Background refresh failed', { key, error });
+                    });
+                    return { value: entry.value, status: 'STALE', age };
+                }
+                // Expired for good; drop it so entries that are never
+                // refetched do not pile up in the store
+                await store.delete(key);
+            }
+        }
+
+        const value = await load(key, loader);
+        return { value, status: fresh ? 'BYPASS' : 'MISS', age: 0 };
+    }
+
+    return {
+        get,
+        ttl,
+        staleTtl,
+        delete: key => store.delete(key)
+    };
+}
+
+// Build the cache from CACHE_* environment variables
+function createCacheFromEnv(env = process.env) {
+    const store = env.CACHE_BACKEND === 'file'
+        ? createFileStore({ dir: env.CACHE_DIR || path.join(env.DATA_DIR || 'data', 'cache') })
+        : createMemoryStore({ maxEntries: parseInt(env.CACHE_MAX_ENTRIES || 1000) });
+
+    return createCache({
+        store,
+        ttl: parseInt(env.CACHE_TTL_SECONDS || 600),
+        staleTtl: parseInt(env.CACHE_STALE_SECONDS || 3600)
+    });
+}
+
+export { createCache, createCacheFromEnv, createMemoryStore, createFileStore };
@@ -0,0 +1,161 @@
+// Command line interface (bin/aliex.js)
+// Prints products to stdout as normalized JSON or shop CSV, so it can sit in
+// shell pipelines and cron jobs. Logs go to stderr; the exit code is 0 on
+// success, 1 when a product could not be fetched or parsed, 2 on bad usage.
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { parseProductHtml } from './parse.js';
+import { fetchAliExpressProduct } from './product.js';
+import { extractProductId, resolveProductUrl } from './urls.js';
+import { normalizeCountry, normalizeLocale } from './region.js';
+import { convertProductPrices, hasRate, loadRates } from './money.js';
+import { csvLines } from './export.js';
+import { normalizeProduct } from './normalize.js';
+
+const USAGE = `Usage: aliex <command> [options]
+
+Commands:
+  fetch <url|id>...   Fetch products (one prints an object, several an array)
+  parse <file>        Parse a saved product page ("-" reads stdin)
+  id [url...]         Print the product ID of each URL (read from stdin when none given)
+
+Options:
+  --json              Normalized product JSON (default)
+  --csv               Shopify product CSV, same as --format shopify
+  --format <format>   json, raw (payload as scraped), shopify or woocommerce
+  --ship-to <code>    Quote shipping for this country (fetch)
+  --locale <locale>   Language of title, description and specs, e.g. vi_VN (fetch)
+  --currency <code>   Convert prices (see CURRENCY_RATES_FILE)
+  --url <url>         Product URL of the saved page (parse)
+  -h, --help          Show this help
+`;
+
+const OUTPUT_FORMATS = ['json', 'raw', 'shopify', 'woocommerce'];
+
+const OPTIONS = {
+    json: { type: 'boolean' },
+    csv: { type: 'boolean' },
+    format: { type: 'string' },
+    'ship-to': { type: 'string' },
+    locale: { type: 'string' },
+    currency: { type: 'string' },
+    url: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Option values checked up front, so a typo fails before any network access
+function outputOptions(values) {
+    const format = values.format ? values.format.toLowerCase() : values.csv ? 'shopify' : 'json';
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new UsageError(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const currency = values.currency ? values.currency.toUpperCase() : null;
+    const rates = currency ? loadRates() : null;
+    if (currency && !hasRate(currency, rates)) {
+        throw new UsageError(`No exchange rate configured for ${currency}`);
+    }
+    return { format, currency, rates };
+}
+
+function writeProducts(stdout, products, { format, currency, rates }, { single }) {
+    const converted = currency ? products.map(product => convertProductPrices(product, currency, rates)) : products;
+    if (format === 'shopify' || format === 'woocommerce') {
+        for (const line of csvLines(format, converted)) stdout.write(line);
+        return;
+    }
+    const payloads = format === 'raw' ? converted : converted.map(normalizeProduct);
+    stdout.write(JSON.stringify(single ? payloads[0] : payloads, null, 2) + '\n');
+}
+
+async function fetchCommand(inputs, values, { stdout, stderr, fetchProduct }) {
+    if (inputs.length === 0) throw new UsageError('fetch needs at least one product URL or ID');
+    const output = outputOptions(values);
+    const shipTo = values['ship-to'] ? normalizeCountry(values['ship-to']) : null;
+    const locale = values.locale ? normalizeLocale(values.locale) : null;
+    if (values['ship-to'] && !shipTo) throw new UsageError(`Invalid --ship-to country code: ${values['ship-to']}`);
+    if (values.locale && !locale) throw new UsageError(`Unsupported --locale: ${values.locale}`);
+
+    const products = [];
+    let failed = 0;
+    for (const input of inputs) {
+        try {
+            products.push(await fetchProduct(input, { shipTo, locale }));
+        } catch (error) {
+            stderr.write(`aliex: ${input}: ${error.message}\n`);
+            failed++;
+        }
+    }
+    if (products.length > 0) writeProducts(stdout, products, output, { single: inputs.length === 1 });
+    return failed > 0 ? 1 : 0;
+}
+
+async function parseCommand(files, values, { stdin, stdout, stderr }) {
+    if (files.length !== 1) throw new UsageError('parse needs exactly one file ("-" for stdin)');
+    const output = outputOptions(values);
+    const url = values.url || null;
+
+    try {
+        const html = files[0] === '-' ? await readStream(stdin) : await readFile(files[0], 'utf8');
+        const product = { ...parseProductHtml(html, { url }), productId: url ? extractProductId(url) : null, url };
+        writeProducts(stdout, [product], output, { single: true });
+        return 0;
+    } catch (error) {
+        stderr.write(`aliex: ${files[0]}: ${error.message}\n`);
+        return 1;
+    }
+}
+
+async function idCommand(inputs, { stdin, stdout, stderr, resolve }) {
+    const urls = inputs.length ? inputs : (await readStream(stdin)).split(/\s+/).filter(Boolean);
+    let failed = 0;
+    for (const url of urls) {
+        try {
+            stdout.write((await resolve(url)).id + '\n');
+        } catch (error) {
+            stderr.write(`aliex: ${url}: ${error.message}\n`);
+            failed++;
+        }
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+const COMMANDS = { fetch: fetchCommand, parse: parseCommand, id: (inputs, values, io) => idCommand(inputs, io) };
+
+// Resolves the exit code. The streams and network functions are parameters
+// so the commands can run against fixtures.
+async function main(argv, {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    fetchProduct = fetchAliExpressProduct,
+    resolve = resolveProductUrl
+} = {}) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        const [command, ...args] = positionals;
+        if (values.help) {
+            stdout.write(USAGE);
+            return 0;
+        }
+        if (!COMMANDS[command]) throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+        return await COMMANDS[command](args, values, { stdin, stdout, stderr, fetchProduct, resolve });
+    } catch (error) {
+        // parseArgs rejects unknown options and missing option values with a TypeError
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            stderr.write(`aliex: ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        throw error;
+    }
+}
+
+export { USAGE, main };
@@ -0,0 +1,195 @@
+// Supplier comparison
+// The same item is usually listed by many stores. compareProducts() lines up
+// normalized products (lib/normalize.js) side by side, flags likely
+// duplicates and scores every listing for value. Duplicates are found by
+// title similarity and shared image keys (lib/images.js): re-listings
+// mostly reuse the original uploads, so the CDN file names match. Comparing
+// the pixels themselves would need an image decoder, which we do not ship.
+import { validate } from './schema.js';
+import { imageKey } from './images.js';
+import { roundAmount } from './money.js';
+
+// Relative weight of each score component; a request may override any of them
+const DEFAULT_WEIGHTS = { price: 0.4, shipping: 0.2, rating: 0.15, reviews: 0.1, store: 0.15 };
+
+const WEIGHTS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(name => [name, { type: 'number', minimum: 0 }]))
+};
+
+// A pair is a likely duplicate when either signal reaches its threshold
+const DUPLICATE_THRESHOLDS = { title: 0.6, images: 0.3 };
+
+// Listing filler that says nothing about the item itself
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'for', 'in', 'of', 'on', 'the', 'to', 'with',
+    'new', 'hot', 'sale', 'free', 'shipping', 'original', 'high', 'quality', 'best', 'top'
+]);
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Validate and fill in the scoring weights. Returns { weights, errors }.
+function normalizeWeights(input = {}) {
+    const errors = validate(WEIGHTS_SCHEMA, input ?? {});
+    if (errors.length > 0) return { weights: null, errors };
+
+    const weights = { ...DEFAULT_WEIGHTS, ...input };
+    if (Object.values(weights).every(weight => weight === 0)) {
+        return { weights: null, errors: [{ path: '(root)', message: 'must have at least one weight above 0' }] };
+    }
+    return { weights, errors: [] };
+}
+
+function titleTokens(title) {
+    return new Set(String(title || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token)));
+}
+
+function sharedCount(a, b) {
+    let shared = 0;
+    for (const item of a) if (b.has(item)) shared++;
+    return shared;
+}
+
+// Jaccard similarity of the significant title words, 0..1
+function titleSimilarity(a, b) {
+    const tokensA = titleTokens(a);
+    const tokensB = titleTokens(b);
+    const shared = sharedCount(tokensA, tokensB);
+    const union = tokensA.size + tokensB.size - shared;
+    return union > 0 ? round(shared / union) : 0;
+}
+
+function imageKeys(product) {
+    const sources = [...(product.images || []), ...(product.variants || []).map(variant => variant.image)];
+    return new Set(sources.map(imageKey).filter(Boolean));
+}
+
+// Shared image keys relative to the smaller gallery, 0..1; a store that
+// shows three of another store's eight photos still overlaps fully
+function imageOverlap(a, b) {
+    const keysA = imageKeys(a);
+    const keysB = imageKeys(b);
+    const smaller = Math.min(keysA.size, keysB.size);
+    return smaller > 0 ? round(sharedCount(keysA, keysB) / smaller) : 0;
+}
+
+// Only options with a known cost; an unpriced one is not the cheapest
+function cheapestShipping(product) {
+    return (product.shipping || [])
+        .filter(option => option.cost)
+        .reduce((best, option) => (!best || option.cost.amount < best.cost.amount ? option : best), null);
+}
+
+// One row of the side-by-side table
+function comparisonRow(product) {
+    const shipping = cheapestShipping(product);
+    const currency = product.salePrice.currency;
+    return {
+        productId: product.productId,
+        url: product.url,
+        title: product.title,
+        store: product.store ? { id: product.store.id, name: product.store.name, url: product.store.url } : null,
+        salePrice: product.salePrice,
+        originalPrice: product.originalPrice,
+        discount: product.discount,
+        shipping: shipping ? { carrier: shipping.carrier, cost: shipping.cost, deliveryDays: shipping.deliveryDays } : null,
+        // Price plus the cheapest shipping option, what the item really costs us
+        totalCost: { amount: roundAmount(product.salePrice.amount + (shipping?.cost.amount ?? 0), currency), currency },
+        rating: product.rating,
+        reviews: product.reviews,
+        storeScore: product.store?.positiveFeedbackPercent ?? null
+    };
+}
+
+// Lower is better; 1 for the cheapest, 0 for the dearest
+function inverseRange(value, values) {
+    if (value === null) return 0;
+    const known = values.filter(item => item !== null);
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+    return max > min ? (max - value) / (max - min) : 1;
+}
+
+// Component scores (0..1) per row. Unknown price, shipping or store data
+// scores 0, so a listing cannot win on data it does not show. A price of 0 is
+// the parser's default, not a free item.
+function componentScores(rows) {
+    const prices = rows.map(row => (row.salePrice.amount > 0 ? row.salePrice.amount : null));
+    const shippingCosts = rows.map(row => row.shipping?.cost.amount ?? null);
+    const maxReviews = Math.max(...rows.map(row => row.reviews));
+    return rows.map((row, index) => ({
+        price: inverseRange(prices[index], prices),
+        shipping: inverseRange(shippingCosts[index], shippingCosts),
+        rating: row.rating / 5,
+        // Log scale: 10,000 reviews is not a hundred times better than 100
+        reviews: maxReviews > 0 ? Math.log10(1 + row.reviews) / Math.log10(1 + maxReviews) : 0,
+        store: row.storeScore === null ? 0 : row.storeScore / 100
+    }));
+}
+
+// Connected components over the duplicate pairs
+function duplicateGroups(ids, pairs) {
+    const parent = new Map(ids.map(id => [id, id]));
+    const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+    for (const pair of pairs) parent.set(find(pair.productIds[0]), find(pair.productIds[1]));
+
+    const groups = new Map();
+    for (const id of ids) {
+        const root = find(id);
+        groups.set(root, [...(groups.get(root) || []), id]);
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+// products: normalized products, all priced in the same currency.
+// Rows keep the input order; rank 1 is the best value.
+function compareProducts(products, { weights = DEFAULT_WEIGHTS, thresholds = DUPLICATE_THRESHOLDS } = {}) {
+    const currencies = new Set(products.map(product => product.salePrice.currency));
+    if (currencies.size > 1) {
+        throw new Error(`Products must be priced in one currency, got ${[...currencies].join(', ')}`);
+    }
+
+    const rows = products.map(comparisonRow);
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    componentScores(rows).forEach((scores, index) => {
+        const weighted = Object.entries(weights).reduce((sum, [name, weight]) => sum + weight * scores[name], 0);
+        rows[index].scores = Object.fromEntries(Object.entries(scores).map(([name, score]) => [name, round(score)]));
+        rows[index].score = round((weighted / totalWeight) * 100, 1);
+    });
+    const ranked = [...rows].sort((a, b) => b.score - a.score);
+    ranked.forEach((row, index) => { row.rank = index + 1; });
+
+    const duplicates = [];
+    for (let i = 0; i < products.length; i++) {
+        for (let j = i + 1; j < products.length; j++) {
+            const pair = {
+                productIds: [products[i].productId, products[j].productId],
+                titleSimilarity: titleSimilarity(products[i].title, products[j].title),
+                imageOverlap: imageOverlap(products[i], products[j])
+            };
+            if (pair.titleSimilarity >= thresholds.title || pair.imageOverlap >= thresholds.images) duplicates.push(pair);
+        }
+    }
+
+    const bestOf = ids => ranked.find(row => ids.includes(row.productId)).productId;
+    return {
+        currency: [...currencies][0] ?? null,
+        weights,
+        products: rows,
+        duplicates,
+        // Listings of the same item, with the best-value supplier of each
+        groups: duplicateGroups(rows.map(row => row.productId), duplicates).map(ids => ({ productIds: ids, recommended: bestOf(ids) })),
+        recommended: ranked[0]?.productId ?? null
+    };
+}
+
+export { DEFAULT_WEIGHTS, DUPLICATE_THRESHOLDS, normalizeWeights, titleSimilarity, imageOverlap, compareProducts };
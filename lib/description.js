@@ -0,0 +1,139 @@
+// Full product description
+// The product page only references the seller's rich description; the real
+// document lives at a separate URL (descriptionModule/productDescComponent).
+// It is fetched on request and reduced to safe HTML, plain text and images.
+import fetch from 'node-fetch';
+import { JSDOM } from 'jsdom';
+import { DEFAULT_USER_AGENT } from './http.js';
+import { safeFetch } from './safe-fetch.js';
+import { absoluteUrl } from './values.js';
+
+const DESCRIPTION_CONTAINER_KEYS = ['descriptionModule', 'productDescComponent', 'descriptionComponent'];
+const DESCRIPTION_URL_KEYS = ['descriptionUrl', 'productDescUrl', 'descUrl', 'pcDescUrl'];
+
+// Removed together with their content
+const DROP_TAGS = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'link', 'meta', 'noscript', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'video', 'audio', 'head', 'title'];
+
+// Kept (with only the listed attributes); any other tag is unwrapped
+const ALLOWED_TAGS = {
+    p: [], br: [], div: [], span: [], hr: [], blockquote: [], pre: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], sub: [], sup: [],
+    ul: [], ol: [], li: [], dl: [], dt: [], dd: [],
+    table: [], thead: [], tbody: [], tfoot: [], tr: [], caption: [],
+    td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'],
+    img: ['src', 'alt', 'width', 'height']
+};
+
+// Analytics pixels and counters that sellers paste into descriptions
+const TRACKER_PATTERN = /(google-analytics|googletagmanager|doubleclick|facebook\.com\/tr|\/pixel|\/beacon|\/track|counter|statcounter|\.gif\?)/i;
+
+function findDescriptionUrl(source) {
+    if (!source || typeof source !== 'object') return null;
+    const roots = [source, source.data].filter(root => root && typeof root === 'object');
+    for (const root of roots) {
+        for (const container of [root, ...DESCRIPTION_CONTAINER_KEYS.map(key => root[key])]) {
+            if (!container || typeof container !== 'object') continue;
+            for (const key of DESCRIPTION_URL_KEYS) {
+                if (typeof container[key] === 'string' && container[key]) {
+                    return absoluteUrl(container[key]);
+                }
+            }
+        }
+    }
+    return null;
+}
+
+function isTrackerImage(img, src) {
+    const width = parseInt(img.getAttribute('width'));
+    const height = parseInt(img.getAttribute('height'));
+    return (width <= 1 || height <= 1) || TRACKER_PATTERN.test(src);
+}
+
+// Walk the tree bottom-up so unwrapping never skips nodes
+function sanitizeNode(node, images, baseUrl) {
+    for (const child of [...node.childNodes]) {
+        if (child.nodeType === 8) { // comment
+            child.remove();
+            continue;
+        }
+        if (child.nodeType !== 1) continue;
+
+        const tag = child.tagName.toLowerCase();
+        if (DROP_TAGS.includes(tag)) {
+            child.remove();
+            continue;
+        }
+
+        sanitizeNode(child, images, baseUrl);
+
+        if (tag === 'img') {
+            const src = absoluteUrl(child.getAttribute('data-src') || child.getAttribute('src'), baseUrl);
+            if (!src || !/^https?:/.test(src) || isTrackerImage(child, src)) {
+                child.remove();
+                continue;
+            }
+            child.setAttribute('src', src);
+            if (!images.includes(src)) images.push(src);
+        }
+
+        const allowed = ALLOWED_TAGS[tag];
+        if (!allowed) {
+            // Links and unknown wrappers are dropped but their content stays
+            child.replaceWith(...child.childNodes);
+            continue;
+        }
+        for (const attribute of [...child.attributes]) {
+            if (!allowed.includes(attribute.name.toLowerCase())) child.removeAttribute(attribute.name);
+        }
+    }
+}
+
+// One line per block element, whitespace collapsed
+function toPlainText(body) {
+    const clone = body.cloneNode(true);
+    for (const el of clone.querySelectorAll('br, p, div, li, tr, h1, h2, h3, h4, h5, h6, blockquote, pre, dt, dd')) {
+        el.after('\n');
+    }
+    for (const el of clone.querySelectorAll('td, th')) {
+        el.after(' ');
+    }
+    return clone.textContent
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+// Reduce a seller description document to { html, text, images }
+function sanitizeDescriptionHtml(html, { baseUrl } = {}) {
+    const document = new JSDOM(`<body>${html || ''}</body>`).window.document;
+    const images = [];
+    sanitizeNode(document.body, images, baseUrl);
+
+    // Drop wrappers left empty by the removals
+    for (const el of [...document.body.querySelectorAll('div, span, p')].reverse()) {
+        if (!el.textContent.trim() && !el.querySelector('img, br, table')) el.remove();
+    }
+
+    const text = toPlainText(document.body);
+
+    return { html: document.body.innerHTML.trim(), text, images };
+}
+
+// agent/userAgent: one identity from the outbound pool (lib/http.js)
+async function fetchDescription(descriptionUrl, { agent, userAgent = DEFAULT_USER_AGENT, fetchImpl = fetch } = {}) {
+    const response = await safeFetch(descriptionUrl, {
+        headers: {
+            'User-Agent': userAgent,
+            'Referer': 'https://www.aliexpress.com/'
+        },
+        agent
+    }, { fetchImpl });
+    if (!response.ok) {
+        throw new Error(`Description HTTP error! status: ${response.status}`);
+    }
+    return { sourceUrl: descriptionUrl, ...sanitizeDescriptionHtml(await response.text(), { baseUrl: descriptionUrl }) };
+}
+
+export { findDescriptionUrl, sanitizeDescriptionHtml, fetchDescription };
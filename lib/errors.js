@@ -0,0 +1,125 @@
+// Typed scrape failures
+// AliExpress answers bots with captcha sliders, "punish" pages and login
+// walls, and removed items with a friendly page rather than a 404. These are
+// recognized here and reported with a stable code and HTTP status.
+
+// status: what our API answers with; retryable: worth another attempt
+const ERROR_CODES = {
+    BLOCKED: { status: 503, retryable: true, title: 'Blocked by AliExpress' },
+    CAPTCHA: { status: 503, retryable: true, title: 'Captcha challenge' },
+    NOT_FOUND: { status: 404, retryable: false, title: 'Product not found' },
+    REGION_RESTRICTED: { status: 451, retryable: false, title: 'Not available in this region' },
+    TIMEOUT: { status: 504, retryable: true, title: 'Upstream timeout' },
+    UPSTREAM_ERROR: { status: 502, retryable: true, title: 'Upstream error' },
+    PARSE_FAILED: { status: 502, retryable: false, title: 'Could not parse product page' },
+    // Outbound request guards (lib/safe-fetch.js)
+    INVALID_URL: { status: 400, retryable: false, title: 'Invalid URL' },
+    ADDRESS_NOT_ALLOWED: { status: 403, retryable: false, title: 'Address not allowed' },
+    REDIRECT_NOT_ALLOWED: { status: 422, retryable: false, title: 'Redirect not allowed' },
+    TOO_MANY_REDIRECTS: { status: 422, retryable: false, title: 'Too many redirects' },
+    RESPONSE_TOO_LARGE: { status: 413, retryable: false, title: 'Response too large' }
+};
+
+class ScrapeError extends Error {
+    constructor(code, message, { retryAfter = null, cause } = {}) {
+        super(message || ERROR_CODES[code].title, cause ? { cause } : undefined);
+        this.name = 'ScrapeError';
+        this.code = code;
+        this.status = ERROR_CODES[code].status;
+        this.retryable = ERROR_CODES[code].retryable;
+        this.title = ERROR_CODES[code].title;
+        // Seconds the upstream asked us to wait, if it said so
+        this.retryAfter = retryAfter;
+    }
+}
+
+const CAPTCHA_PATTERNS = [
+    /"action"\s*:\s*"captcha"/i,
+    /id="nocaptcha"|nc-container|nc_1_wrapper/i,
+    /x5secdata|baxia-punish/i,
+    /<title>\s*Captcha Interception/i,
+    /slide to verify/i
+];
+
+const BLOCKED_PATTERNS = [
+    /_____tmd_____\/punish/i,
+    /"action"\s*:\s*"deny"/i,
+    /unusual traffic from your (?:network|computer)/i,
+    /<title>\s*Access Denied/i
+];
+
+const LOGIN_HOSTS = /^(login|passport|accounts)\.aliexpress\.[a-z]+$/i;
+
+const NOT_FOUND_PATTERNS = [
+    /(?:this|the) (?:product|item|page) (?:is )?no longer available/i,
+    /sorry, this item (?:is|has been) (?:no longer available|removed|sold out permanently)/i,
+    /page (?:you requested )?(?:was not|cannot be|can't be) found/i,
+    /"itemStatus"\s*:\s*"?(?:off_shelf|deleted|removed)/i,
+    /<title>\s*404\b/i
+];
+
+const REGION_PATTERNS = [
+    /(?:not|isn't|is not) available (?:in|for) your (?:country|region|location)/i,
+    /can(?:not|'t) be (?:shipped|delivered|sold) to your (?:country|region|location)/i,
+    /not (?:sold|for sale) in your (?:country|region)/i
+];
+
+// Anti-bot and login walls are recognizable on any page
+function classifyBlockedPage(html, { status = 200, finalUrl = null } = {}) {
+    if (finalUrl) {
+        try {
+            const { hostname, pathname } = new URL(finalUrl);
+            if (LOGIN_HOSTS.test(hostname)) return new ScrapeError('BLOCKED', 'Redirected to the AliExpress login page');
+            if (/_____tmd_____\/punish/.test(pathname)) return new ScrapeError('CAPTCHA', 'Redirected to an anti-bot challenge');
+        } catch (e) {
+            // Not a URL; judge by the body
+        }
+    }
+    if (CAPTCHA_PATTERNS.some(pattern => pattern.test(html))) {
+        return new ScrapeError('CAPTCHA', 'AliExpress served a captcha challenge');
+    }
+    if (status === 429) return new ScrapeError('BLOCKED', 'Rate limited by AliExpress (HTTP 429)');
+    if (BLOCKED_PATTERNS.some(pattern => pattern.test(html))) {
+        return new ScrapeError('BLOCKED', 'AliExpress blocked the request');
+    }
+    if (status === 403) return new ScrapeError('BLOCKED', 'AliExpress refused the request (HTTP 403)');
+    return null;
+}
+
+// Only consulted when the page yielded no product, since normal listings
+// can mention "not available" in shipping text
+function classifyEmptyPage(html, { status = 200 } = {}) {
+    if (status === 404 || status === 410) return new ScrapeError('NOT_FOUND', `Product page returned HTTP ${status}`);
+    if (REGION_PATTERNS.some(pattern => pattern.test(html))) {
+        return new ScrapeError('REGION_RESTRICTED', 'This product is not available in the requested region');
+    }
+    if (NOT_FOUND_PATTERNS.some(pattern => pattern.test(html))) {
+        return new ScrapeError('NOT_FOUND', 'This product is no longer available');
+    }
+    return new ScrapeError('PARSE_FAILED', 'No product data found on the page');
+}
+
+// Map low-level fetch failures (timeouts, resets, DNS) to typed errors
+function classifyFetchError(error) {
+    if (error instanceof ScrapeError) return error;
+    if (error.name === 'AbortError' || error.name === 'TimeoutError' || error.type === 'request-timeout' || error.code === 'ETIMEDOUT') {
+        return new ScrapeError('TIMEOUT', 'Timed out fetching the product page', { cause: error });
+    }
+    // node-fetch's `size` limit
+    if (error.type === 'max-size') {
+        return new ScrapeError('RESPONSE_TOO_LARGE', 'The response exceeded the size limit', { cause: error });
+    }
+    return new ScrapeError('UPSTREAM_ERROR', `Request failed: ${error.message}`, { cause: error });
+}
+
+// Standard JSON body for a typed error
+function errorResponse(error) {
+    return {
+        success: false,
+        error: error.title,
+        code: error.code,
+        message: error.message
+    };
+}
+
+export { ERROR_CODES, ScrapeError, classifyBlockedPage, classifyEmptyPage, classifyFetchError, errorResponse };
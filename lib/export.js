@@ -0,0 +1,342 @@
+// Shop import exports
+// Turns product payloads into Shopify or WooCommerce product CSV, or a JSON
+// Feed. CSV is produced line by line so routes can stream it.
+import { validate } from './schema.js';
+
+const FORMATS = ['shopify', 'woocommerce', 'json-feed'];
+
+const nullable = type => ({ type: [type, 'null'] });
+const money = { type: ['object', 'null'], properties: { amount: { type: 'number' }, currency: nullable('string') } };
+
+// The parts of a product payload (v1 or v2, as returned by this API) the
+// exporters read; anything else on the payload is ignored
+const PRODUCT_SCHEMA = {
+    type: 'object',
+    required: ['title'],
+    properties: {
+        productId: nullable('string'),
+        url: nullable('string'),
+        title: { type: 'string', minLength: 1 },
+        description: nullable('string'),
+        salePrice: money,
+        originalPrice: money,
+        images: { type: 'array', items: { type: 'string' } },
+        specs: {
+            type: 'array',
+            items: { type: 'object', properties: { label: nullable('string'), value: nullable('string') } }
+        },
+        options: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'values'],
+                properties: {
+                    name: { type: 'string' },
+                    values: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } }
+                }
+            }
+        },
+        variants: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    skuId: nullable('string'),
+                    optionValues: { type: 'object', additionalProperties: { type: 'string' } },
+                    salePrice: money,
+                    originalPrice: money,
+                    stock: nullable('number'),
+                    available: { type: 'boolean' },
+                    image: nullable('string')
+                }
+            }
+        },
+        store: { type: ['object', 'null'], properties: { name: nullable('string') } },
+        fullDescription: { type: ['object', 'null'], properties: { html: nullable('string') } }
+    }
+};
+
+// Schema violations of caller-supplied payloads, paths prefixed with
+// "products[i]"; empty when every product can be exported
+function validateProducts(products) {
+    return validate({ type: 'array', items: PRODUCT_SCHEMA }, products, { path: 'products' });
+}
+
+// Shopify's product CSV supports three options per product
+const SHOPIFY_MAX_OPTIONS = 3;
+
+const SHOPIFY_COLUMNS = [
+    'Handle', 'Title', 'Body (HTML)', 'Vendor', 'Type', 'Tags', 'Published',
+    'Option1 Name', 'Option1 Value', 'Option2 Name', 'Option2 Value', 'Option3 Name', 'Option3 Value',
+    'Variant SKU', 'Variant Inventory Tracker', 'Variant Inventory Qty', 'Variant Inventory Policy',
+    'Variant Fulfillment Service', 'Variant Price', 'Variant Compare At Price', 'Variant Requires Shipping',
+    'Variant Taxable', 'Image Src', 'Image Position', 'Image Alt Text', 'Variant Image', 'Status'
+];
+
+const WOOCOMMERCE_COLUMNS = [
+    'Type', 'SKU', 'Name', 'Published', 'Short description', 'Description', 'In stock?', 'Stock',
+    'Regular price', 'Sale price', 'Tags', 'Images', 'Parent'
+];
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(csvField).join(',') + '\r\n';
+}
+
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80)
+        .replace(/-+$/, '') || 'product';
+}
+
+// Handles must be unique within a file; repeats get the product ID appended
+function createHandleGenerator() {
+    const used = new Set();
+    return product => {
+        let handle = slugify(product.title);
+        if (used.has(handle)) handle = `${handle}-${product.productId || used.size}`;
+        used.add(handle);
+        return handle;
+    };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Prefer the sanitized seller description when the payload carries one
+function bodyHtml(product) {
+    if (product.fullDescription?.html) return product.fullDescription.html;
+    if (!product.description) return '';
+    return product.description.split(/\n+/).map(line => `<p>${escapeHtml(line)}</p>`).join('');
+}
+
+function amountOf(money) {
+    return money && money.amount > 0 ? money.amount : null;
+}
+
+// Compare-at only makes sense above the selling price
+function compareAt(sale, original) {
+    const saleAmount = amountOf(sale);
+    const originalAmount = amountOf(original);
+    return originalAmount && saleAmount && originalAmount > saleAmount ? originalAmount : null;
+}
+
+// Specs as "Name: Value" tags; commas would split a tag in two
+function specTags(product) {
+    return (product.specs || [])
+        .filter(spec => spec.label && spec.value)
+        .map(spec => `${spec.label}: ${spec.value}`.replace(/,/g, ' '));
+}
+
+function productImages(product) {
+    return (product.images || []).filter(image => typeof image === 'string' && /^https?:/.test(image));
+}
+
+function variantSku(product, variant) {
+    return variant ? `${product.productId || 'AE'}-${variant.skuId}` : String(product.productId || '');
+}
+
+function shopifyRows(product, handle) {
+    const options = (product.options || []).slice(0, SHOPIFY_MAX_OPTIONS);
+    const variants = product.variants?.length ? product.variants : [null];
+    const images = productImages(product);
+    const rows = [];
+
+    const row = (fields) => SHOPIFY_COLUMNS.map(column => fields[column] ?? '');
+
+    variants.forEach((variant, index) => {
+        const fields = { 'Handle': handle };
+        if (index === 0) {
+            Object.assign(fields, {
+                'Title': product.title,
+                'Body (HTML)': bodyHtml(product),
+                'Vendor': product.store?.name || 'AliExpress',
+                'Tags': specTags(product).join(', '),
+                'Published': 'TRUE',
+                'Status': 'draft'
+            });
+        }
+
+        if (variant) {
+            options.forEach((option, position) => {
+                fields[`Option${position + 1} Name`] = index === 0 ? option.name : '';
+                fields[`Option${position + 1} Value`] = variant.optionValues?.[option.name] ?? '';
+            });
+        } else {
+            Object.assign(fields, { 'Option1 Name': 'Title', 'Option1 Value': 'Default Title' });
+        }
+
+        const sale = variant ? variant.salePrice : product.salePrice;
+        const original = variant ? variant.originalPrice : product.originalPrice;
+        Object.assign(fields, {
+            'Variant SKU': variantSku(product, variant),
+            // Inventory is only tracked when the page gave a quantity
+            'Variant Inventory Tracker': typeof variant?.stock === 'number' ? 'shopify' : '',
+            'Variant Inventory Qty': variant?.stock ?? '',
+            'Variant Inventory Policy': typeof variant?.stock === 'number' ? 'deny' : 'continue',
+            'Variant Fulfillment Service': 'manual',
+            'Variant Price': amountOf(sale) ?? '',
+            'Variant Compare At Price': compareAt(sale, original) ?? '',
+            'Variant Requires Shipping': 'TRUE',
+            'Variant Taxable': 'TRUE',
+            'Variant Image': variant?.image || ''
+        });
+
+        if (images[index]) {
+            Object.assign(fields, { 'Image Src': images[index], 'Image Position': index + 1, 'Image Alt Text': product.title });
+        }
+        rows.push(row(fields));
+    });
+
+    // Images beyond the variant rows get rows of their own
+    images.slice(variants.length).forEach((image, offset) => {
+        rows.push(row({
+            'Handle': handle,
+            'Image Src': image,
+            'Image Position': variants.length + offset + 1,
+            'Image Alt Text': product.title
+        }));
+    });
+
+    return rows;
+}
+
+// Options first (they drive the variations), then specs as plain attributes
+function woocommerceAttributes(product) {
+    const options = (product.options || []).map(option => ({
+        name: option.name,
+        values: option.values.map(value => value.name),
+        option: true
+    }));
+    const specs = (product.specs || [])
+        .filter(spec => spec.label && spec.value && !options.some(option => option.name === spec.label))
+        .map(spec => ({ name: spec.label, values: [spec.value], option: false }));
+    return [...options, ...specs];
+}
+
+function woocommerceColumns(attributeCount) {
+    const columns = [...WOOCOMMERCE_COLUMNS];
+    for (let i = 1; i <= attributeCount; i++) {
+        columns.push(`Attribute ${i} name`, `Attribute ${i} value(s)`, `Attribute ${i} visible`, `Attribute ${i} global`);
+    }
+    return columns;
+}
+
+// Woo joins multiple values with ", " and images with ","
+function woocommerceRows(product, slug, attributeCount) {
+    const attributes = woocommerceAttributes(product).slice(0, attributeCount);
+    const variants = product.variants || [];
+    const parentSku = variantSku(product, null) || slug;
+    const rows = [];
+
+    const attributeFields = values => attributes.flatMap((attribute, i) => (
+        values[i] === undefined ? ['', '', '', ''] : [attribute.name, values[i], 1, 0]
+    ));
+    const pad = row => [...row, ...Array(Math.max(0, (attributeCount - attributes.length) * 4)).fill('')];
+    const prices = (sale, original) => {
+        const regular = compareAt(sale, original);
+        return regular ? [regular, amountOf(sale)] : [amountOf(sale) ?? '', ''];
+    };
+
+    rows.push(pad([
+        variants.length ? 'variable' : 'simple',
+        parentSku,
+        product.title,
+        1,
+        product.description ? product.description.slice(0, 300) : '',
+        bodyHtml(product),
+        variants.length ? (variants.some(variant => variant.available) ? 1 : 0) : 1,
+        '',
+        ...(variants.length ? ['', ''] : prices(product.salePrice, product.originalPrice)),
+        specTags(product).join(', '),
+        productImages(product).join(', '),
+        '',
+        ...attributeFields(attributes.map(attribute => attribute.values.map(value => value.replace(/,/g, ' ')).join(', ')))
+    ]));
+
+    for (const variant of variants) {
+        const values = attributes.map(attribute => (attribute.option ? variant.optionValues?.[attribute.name] : undefined));
+        rows.push(pad([
+            'variation',
+            variantSku(product, variant),
+            `${product.title} - ${Object.values(variant.optionValues || {}).join(', ')}`,
+            1,
+            '',
+            '',
+            variant.available === false ? 0 : 1,
+            variant.stock ?? '',
+            ...prices(variant.salePrice, variant.originalPrice),
+            '',
+            variant.image || '',
+            parentSku,
+            ...attributeFields(values)
+        ]));
+    }
+
+    return rows;
+}
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1); shop-specific data goes
+// in the _aliexpress extension object
+function jsonFeed(products, { title = 'AliExpress products', generatedAt = new Date().toISOString() } = {}) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title,
+        items: products.map(product => ({
+            id: String(product.productId || product.url),
+            url: product.url,
+            title: product.title,
+            content_html: bodyHtml(product) || undefined,
+            content_text: product.description || undefined,
+            image: productImages(product)[0],
+            date_modified: generatedAt,
+            tags: specTags(product),
+            _aliexpress: {
+                salePrice: product.salePrice,
+                originalPrice: product.originalPrice,
+                rating: product.rating,
+                reviews: product.reviews,
+                images: productImages(product),
+                options: product.options || [],
+                variants: product.variants || [],
+                store: product.store || null
+            }
+        }))
+    };
+}
+
+// Yields CSV lines (header first) for the given format
+function* csvLines(format, products) {
+    const handleFor = createHandleGenerator();
+    if (format === 'shopify') {
+        yield csvLine(SHOPIFY_COLUMNS);
+        for (const product of products) {
+            for (const row of shopifyRows(product, handleFor(product))) yield csvLine(row);
+        }
+        return;
+    }
+    if (format === 'woocommerce') {
+        // Attribute columns are shared by every row, so size them for the widest product
+        const attributeCount = Math.max(0, ...products.map(product => woocommerceAttributes(product).length));
+        yield csvLine(woocommerceColumns(attributeCount));
+        for (const product of products) {
+            for (const row of woocommerceRows(product, handleFor(product), attributeCount)) yield csvLine(row);
+        }
+        return;
+    }
+    throw new Error(`Unsupported CSV format: ${format}`);
+}
+
+export { FORMATS, validateProducts, csvField, csvLine, csvLines, slugify, shopifyRows, woocommerceRows, jsonFeed };
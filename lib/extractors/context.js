@@ -0,0 +1,28 @@
+// Shared, lazily-built parse state handed to every extractor
+import { JSDOM } from 'jsdom';
+import { extractJsonObject } from '../page-data.js';
+
+function createContext(html, { url = null } = {}) {
+    const cache = {};
+    const once = (key, build) => {
+        if (!(key in cache)) cache[key] = build();
+        return cache[key];
+    };
+
+    return {
+        html,
+        url,
+        // JSDOM is expensive, so only build it when an extractor asks for it
+        get document() {
+            return once('document', () => new JSDOM(html).window.document);
+        },
+        get dcData() {
+            return once('dcData', () => extractJsonObject(html, 'window._d_c_.DCData', { maxLength: 200000, afterAssignment: true }));
+        },
+        get runParams() {
+            return once('runParams', () => extractJsonObject(html, 'window.runParams'));
+        }
+    };
+}
+
+export { createContext };
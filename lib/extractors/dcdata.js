@@ -0,0 +1,34 @@
+// Method 1: window._d_c_.DCData (new page format)
+import { extractVariants } from '../variants.js';
+import { extractShipping } from '../shipping.js';
+import { toMoney } from '../money.js';
+import { findDescriptionUrl } from '../description.js';
+import { extractStore } from '../store.js';
+
+export default {
+    name: 'dcData',
+    priority: 10,
+    fields: ['title', 'salePrice', 'originalPrice', 'rating', 'reviews', 'images', 'description', 'variants', 'shipping', 'descriptionUrl', 'store'],
+    extract({ dcData }) {
+        if (!dcData) return null;
+
+        // dcData.name is usually a type name like "ItemDetailResp", not the product title,
+        // so only the subject is trusted here and meta/JSON-LD fill the title otherwise
+        const { options, variants } = extractVariants(dcData);
+        const currency = dcData.currency || dcData.currencyCode || null;
+        return {
+            title: dcData.subject || '',
+            salePrice: toMoney(dcData.price || dcData.salePrice, currency),
+            originalPrice: toMoney(dcData.originalPrice || dcData.origPrice || dcData.price, currency),
+            rating: dcData.rating || dcData.avgStar || 0,
+            reviews: dcData.reviews || dcData.reviewCount || dcData.totalValidNum || 0,
+            images: dcData.imagePathList || dcData.images || [],
+            description: dcData.description || dcData.desc || '',
+            options,
+            variants,
+            shipping: extractShipping(dcData),
+            descriptionUrl: findDescriptionUrl(dcData),
+            store: extractStore(dcData)
+        };
+    }
+};
@@ -0,0 +1,151 @@
+// Method 5: CSS selectors over the rendered DOM (fallback)
+import { toMoney } from '../money.js';
+import { absoluteUrl } from '../values.js';
+
+const TITLE_SELECTORS = [
+    'h1[data-pl="product-title"]',
+    '.product-title-text',
+    'h1.pdp-product-name',
+    '.product-title',
+    '[data-pl="product-title"]',
+    'h1',
+    '.pdp-product-title'
+];
+
+const PRICE_SELECTORS = [
+    '.price-current',
+    '.notranslate',
+    '[data-pl="main-price"]',
+    '.price',
+    '.pdp-price',
+    '.product-price-value'
+];
+
+const ORIGINAL_PRICE_SELECTORS = [
+    '.price-original',
+    '.price-was',
+    '[data-pl="origin-price"]',
+    '.price-before',
+    '.original-price'
+];
+
+const IMAGE_SELECTORS = [
+    '.images-view img',
+    '.product-images img',
+    '.pdp-product-img-container img',
+    '[data-src]',
+    '[data-image]'
+];
+
+const RATING_SELECTORS = [
+    '[data-pl="rating-score"]',
+    '.overview-rating-average',
+    '.rating-value',
+    '.pdp-review-score'
+];
+
+const REVIEW_SELECTORS = [
+    '[data-pl="reviews-count"]',
+    '.reviews-count',
+    '.review-count',
+    '.pdp-review-count'
+];
+
+const DESCRIPTION_SELECTORS = [
+    '.product-description',
+    '.detail-desc',
+    '[data-pl="description"]',
+    '.product-detail-desc'
+];
+
+const SPEC_SELECTORS = [
+    '.product-prop',
+    '.props-item',
+    '.spec-item',
+    '.product-parameter-item'
+];
+
+// Return the trimmed text of the first element matching any selector
+function firstText(document, selectors) {
+    for (const selector of selectors) {
+        const el = document.querySelector(selector);
+        if (el) return el.textContent.trim();
+    }
+    return null;
+}
+
+function firstNumber(text, pattern = /[\d.]+/) {
+    const match = text?.match(pattern);
+    return match ? parseFloat(match[0].replace(/,/g, '')) : 0;
+}
+
+function extractTitle(document) {
+    for (const selector of TITLE_SELECTORS) {
+        for (const el of document.querySelectorAll(selector)) {
+            const text = el.textContent.trim();
+            if (text && text.length > 10 && text.length < 500) return text;
+        }
+    }
+    return '';
+}
+
+function extractImages(document) {
+    const images = [];
+    for (const selector of IMAGE_SELECTORS) {
+        document.querySelectorAll(selector).forEach(img => {
+            // Convert relative URLs to absolute
+            const src = absoluteUrl(img.getAttribute('data-src') || img.getAttribute('src') || img.getAttribute('data-image'));
+            if (!src) return;
+            // Filter out small placeholder images
+            if (src.includes('http') && !src.includes('placeholder') && !images.includes(src)) {
+                images.push(src);
+            }
+        });
+        if (images.length > 0) break;
+    }
+    return images;
+}
+
+function extractSpecs(document) {
+    const specs = [];
+    for (const selector of SPEC_SELECTORS) {
+        const specEls = document.querySelectorAll(selector);
+        if (specEls.length === 0) continue;
+        specEls.forEach(el => {
+            const label = el.querySelector('.props-name, .spec-label, dt, .product-parameter-name')?.textContent.trim();
+            const value = el.querySelector('.props-value, .spec-value, dd, .product-parameter-value')?.textContent.trim();
+            if (label && value) {
+                specs.push({ label, value });
+            }
+        });
+        break;
+    }
+    return specs;
+}
+
+export default {
+    name: 'dom',
+    priority: 50,
+    fields: ['title', 'salePrice', 'originalPrice', 'discount', 'rating', 'reviews', 'images', 'description', 'specs'],
+    extract({ document }) {
+        // Price text keeps its symbol and separators, e.g. "1.234,56 €"
+        const salePrice = toMoney(firstText(document, PRICE_SELECTORS));
+        const originalPrice = toMoney(firstText(document, ORIGINAL_PRICE_SELECTORS), salePrice?.currency);
+        const sale = salePrice?.amount || 0;
+        const original = originalPrice?.amount || 0;
+
+        return {
+            title: extractTitle(document),
+            salePrice,
+            originalPrice,
+            discount: original > sale && sale > 0
+                ? Math.round(((original - sale) / original) * 100)
+                : 0,
+            rating: firstNumber(firstText(document, RATING_SELECTORS)),
+            reviews: firstNumber(firstText(document, REVIEW_SELECTORS), /[\d,]+/),
+            images: extractImages(document),
+            description: (firstText(document, DESCRIPTION_SELECTORS) || '').substring(0, 1000),
+            specs: extractSpecs(document)
+        };
+    }
+};
@@ -0,0 +1,106 @@
+// Extractor pipeline
+// Each extractor reads one kind of page data and returns partial product fields.
+// Results are merged field by field: the highest-priority (lowest number) extractor
+// that returned a usable value wins, and _meta.sources records who supplied what.
+import { createContext } from './context.js';
+import { logger } from '../logger.js';
+import { metrics } from '../metrics.js';
+import dcData from './dcdata.js';
+import runParams from './run-params.js';
+import jsonLd from './json-ld.js';
+import meta from './meta.js';
+import dom from './dom.js';
+import regex from './regex.js';
+
+// Fields taken together from a single extractor; the first one decides presence
+const FIELD_GROUPS = [
+    ['title'],
+    ['salePrice'],
+    ['originalPrice'],
+    ['discount'],
+    ['rating'],
+    ['reviews'],
+    ['images'],
+    ['description'],
+    ['specs'],
+    ['variants', 'options'],
+    ['shipping'],
+    ['descriptionUrl'],
+    ['store']
+];
+
+const extractors = [];
+
+function registerExtractor(extractor) {
+    if (!extractor?.name || typeof extractor.extract !== 'function') {
+        throw new Error('Extractor must have a name and an extract(context) function');
+    }
+    const index = extractors.findIndex(existing => existing.name === extractor.name);
+    if (index !== -1) extractors.splice(index, 1);
+    extractors.push({ priority: 100, fields: FIELD_GROUPS.map(group => group[0]), ...extractor });
+    extractors.sort((a, b) => a.priority - b.priority);
+}
+
+function hasValue(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.length > 0;
+    // Prices are { amount, currency }
+    if (typeof value === 'object' && 'amount' in value) return value.amount > 0;
+    return true;
+}
+
+// Run registered extractors in priority order and merge their fields.
+// An extractor is skipped once every field it can provide is already filled.
+function extractProduct(html, { url = null } = {}) {
+    const context = createContext(html, { url });
+    const product = {};
+    const sources = {};
+
+    for (const extractor of extractors) {
+        const wanted = FIELD_GROUPS.filter(group => extractor.fields.includes(group[0]) && !(group[0] in sources));
+        if (wanted.length === 0) {
+            metrics.extractorRuns.inc({ extractor: extractor.name, result: 'skipped' });
+            continue;
+        }
+
+        let result = null;
+        try {
+            result = extractor.extract(context);
+        } catch (e) {
+            logger.warn('Extractor failed', { extractor: extractor.name, error: e });
+            metrics.extractorRuns.inc({ extractor: extractor.name, result: 'error' });
+            continue;
+        }
+        if (!result) {
+            metrics.extractorRuns.inc({ extractor: extractor.name, result: 'empty' });
+            continue;
+        }
+
+        const supplied = [];
+        for (const group of wanted) {
+            if (!hasValue(result[group[0]])) continue;
+            for (const field of group) {
+                if (result[field] !== undefined) {
+                    product[field] = result[field];
+                    sources[field] = extractor.name;
+                }
+            }
+            supplied.push(group[0]);
+        }
+        metrics.extractorRuns.inc({ extractor: extractor.name, result: supplied.length > 0 ? 'supplied' : 'empty' });
+        for (const field of supplied) {
+            metrics.fieldSources.inc({ field, extractor: extractor.name });
+        }
+        if (supplied.length > 0) {
+            logger.debug('Extractor supplied fields', { extractor: extractor.name, fields: supplied });
+        }
+    }
+
+    return { product, sources, context };
+}
+
+[dcData, runParams, jsonLd, meta, dom, regex].forEach(registerExtractor);
+
+export { registerExtractor, extractProduct, extractors };
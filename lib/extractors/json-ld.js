@@ -0,0 +1,33 @@
+// Method 3: schema.org Product in <script type="application/ld+json">
+import { toMoney } from '../money.js';
+import { logger } from '../logger.js';
+
+const JSON_LD_PATTERN = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+export default {
+    name: 'jsonLd',
+    priority: 30,
+    fields: ['title', 'salePrice', 'originalPrice', 'rating', 'reviews', 'images', 'description'],
+    extract({ html }) {
+        for (const match of html.matchAll(JSON_LD_PATTERN)) {
+            try {
+                const json = JSON.parse(match[1]);
+                if (json['@type'] !== 'Product') continue;
+
+                const offer = Array.isArray(json.offers) ? json.offers[0] : json.offers;
+                return {
+                    title: json.name || '',
+                    salePrice: toMoney(offer?.price || offer?.lowPrice, offer?.priceCurrency),
+                    originalPrice: toMoney(offer?.highPrice || offer?.price, offer?.priceCurrency),
+                    rating: parseFloat(json.aggregateRating?.ratingValue || 0),
+                    reviews: parseInt(json.aggregateRating?.reviewCount || 0),
+                    images: Array.isArray(json.image) ? json.image : (json.image ? [json.image] : []),
+                    description: json.description || ''
+                };
+            } catch (e) {
+                logger.debug('Failed to parse JSON-LD', { error: e });
+            }
+        }
+        return null;
+    }
+};
@@ -0,0 +1,15 @@
+// Method 4: Open Graph meta tags (og:title, og:description, og:image)
+export default {
+    name: 'meta',
+    priority: 40,
+    fields: ['title', 'images', 'description'],
+    extract({ document }) {
+        const content = property => document.querySelector(`meta[property="${property}"]`)?.getAttribute('content') || '';
+        const image = content('og:image');
+        return {
+            title: content('og:title'),
+            images: image ? [image] : [],
+            description: content('og:description')
+        };
+    }
+};
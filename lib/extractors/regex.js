@@ -0,0 +1,35 @@
+// Last resort: regular expressions over the raw HTML
+import { toMoney } from '../money.js';
+import { normalizeImages } from '../images.js';
+
+// [pattern, currency the match is known to be in]
+// The whole number is captured, separators and all, so parseAmount can tell
+// "12,50" from "1,250" and "1.234,56" from "1,234.56"
+const PRICE_PATTERNS = [
+    [/USD\s*\$?(\d[\d.,]*)/i, 'USD'],
+    [/\$?(\d[\d.,]*)\s*USD/i, 'USD'],
+    [/"price"?["':]\s*"?(\d[\d.,]*)"?/i, null],
+    [/price[:\s]+(\d[\d.,]*)/i, null]
+];
+
+export default {
+    name: 'regex',
+    priority: 90,
+    fields: ['salePrice', 'images'],
+    extract({ html }) {
+        let salePrice = null;
+        for (const [pattern, currency] of PRICE_PATTERNS) {
+            const priceMatch = html.match(pattern);
+            if (priceMatch) {
+                salePrice = toMoney(priceMatch[1], currency);
+                break;
+            }
+        }
+
+        // Only CDN product uploads; banners, logos and icons live elsewhere
+        const imageMatches = html.match(/(?:https?:)?\/\/[^"'\s]+\.(jpg|jpeg|png|webp)/gi) || [];
+        const images = normalizeImages(imageMatches).slice(0, 10);
+
+        return { salePrice, images };
+    }
+};
@@ -0,0 +1,32 @@
+// Method 2: window.runParams (old page format)
+import { extractVariants } from '../variants.js';
+import { extractShipping } from '../shipping.js';
+import { toMoney } from '../money.js';
+import { findDescriptionUrl } from '../description.js';
+import { extractStore } from '../store.js';
+
+export default {
+    name: 'runParams',
+    priority: 20,
+    fields: ['title', 'salePrice', 'originalPrice', 'rating', 'reviews', 'images', 'description', 'variants', 'shipping', 'descriptionUrl', 'store'],
+    extract({ runParams }) {
+        if (!runParams) return null;
+
+        const productInfo = runParams.data?.productInfoComponent || runParams.productInfoComponent || {};
+        const { options, variants } = extractVariants(runParams);
+        return {
+            title: productInfo.subject || productInfo.title || '',
+            salePrice: toMoney(productInfo.price?.salePrice),
+            originalPrice: toMoney(productInfo.price?.origPrice),
+            rating: productInfo.rating?.averageStar || 0,
+            reviews: productInfo.rating?.totalValidNum || 0,
+            images: productInfo.imagePathList || productInfo.images || [],
+            description: productInfo.description || '',
+            options,
+            variants,
+            shipping: extractShipping(runParams),
+            descriptionUrl: findDescriptionUrl(runParams),
+            store: extractStore(runParams)
+        };
+    }
+};
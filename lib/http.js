@@ -0,0 +1,70 @@
+// Outbound requests to AliExpress: rotating proxies/user agents and retries
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0';
+
+// Round-robin over the configured proxies and user agents. Each call to
+// next() returns the identity for one attempt, so a retry after a block
+// goes out through a different proxy.
+function createOutboundPool({ proxies = [], userAgents = [] } = {}) {
+    const agents = proxies.map(proxy => ({ proxy, agent: new HttpsProxyAgent(proxy) }));
+    const userAgentList = userAgents.length ? userAgents : [DEFAULT_USER_AGENT];
+    let proxyIndex = 0;
+    let userAgentIndex = 0;
+
+    return {
+        size: agents.length,
+        next() {
+            const outbound = agents.length ? agents[proxyIndex++ % agents.length] : { proxy: null, agent: undefined };
+            return { ...outbound, userAgent: userAgentList[userAgentIndex++ % userAgentList.length] };
+        }
+    };
+}
+
+// OUTBOUND_PROXIES: comma-separated proxy URLs.
+// USER_AGENTS: "|"-separated (user agents themselves contain commas).
+function createOutboundPoolFromEnv(env = process.env) {
+    const split = (value, separator) => (value || '').split(separator).map(item => item.trim()).filter(Boolean);
+    return createOutboundPool({
+        proxies: split(env.OUTBOUND_PROXIES, ','),
+        userAgents: split(env.USER_AGENTS, '|')
+    });
+}
+
+// Exponential backoff with full jitter: random delay in [0, base * 2^attempt],
+// capped at maxDelayMs
+function backoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 10000, random = Math.random } = {}) {
+    return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+// Resolves after ms, or as soon as signal aborts
+function sleepFor(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+// Run fn(attempt) until it succeeds, it throws a non-retryable error, or the
+// retries are used up. A server-sent Retry-After (error.retryAfter, seconds)
+// is honoured when it fits under maxDelayMs. signal: an overall deadline; once
+// it fires the last error is thrown rather than trying again.
+async function withRetry(fn, { retries = 2, baseDelayMs = 1000, maxDelayMs = 10000, random = Math.random, sleep = sleepFor, signal = null, onRetry = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (!error.retryable || attempt >= retries || signal?.aborted) throw error;
+            const requested = error.retryAfter ? error.retryAfter * 1000 : 0;
+            const delay = Math.max(requested <= maxDelayMs ? requested : 0, backoffDelay(attempt, { baseDelayMs, maxDelayMs, random }));
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay, signal);
+            if (signal?.aborted) throw error;
+        }
+    }
+}
+
+export { DEFAULT_USER_AGENT, createOutboundPool, createOutboundPoolFromEnv, backoffDelay, withRetry };
@@ -0,0 +1,146 @@
+// Product image URLs
+// AliExpress serves every product image from /kf/<file> on its CDN hosts and
+// derives thumbnails by appending size/format suffixes to the file name
+// ("S1a2.jpg_640x640.jpg", "S1a2.jpg_.webp", "S1a2.jpg_220x220q75.jpg_.webp").
+// Stripping the suffix gives the original upload, and the file name is a
+// stable key across CDN hosts.
+import fetch from 'node-fetch';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createOutboundPool } from './http.js';
+import { safeFetch } from './safe-fetch.js';
+
+const IMAGE_HOST_PATTERN = /(^|\.)(alicdn\.com|aliexpress-media\.com)$/i;
+const IMAGE_ORIGIN = 'https://ae01.alicdn.com';
+const EXTENSION_PATTERN = /\.(jpe?g|png|webp|gif|avif)/i;
+// Older uploads sit one folder deep: /kf/HTB1abc/Product-Name.jpg
+const KEY_PATTERN = /^(?:[\w-]+\/)?[\w.-]+\.(jpe?g|png|webp|gif|avif)$/i;
+
+const CONTENT_TYPES = {
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif'
+};
+
+function parseImageUrl(src) {
+    if (typeof src !== 'string' || !src.trim()) return null;
+    const trimmed = src.trim();
+    try {
+        return new URL(trimmed.startsWith('//') ? 'https:' + trimmed : trimmed);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Full-resolution https URL, or null when src is not a URL at all
+function canonicalImageUrl(src) {
+    const url = parseImageUrl(src);
+    if (!url || !['http:', 'https:'].includes(url.protocol)) return null;
+
+    if (!IMAGE_HOST_PATTERN.test(url.hostname)) return url.href;
+
+    const extension = url.pathname.match(EXTENSION_PATTERN);
+    const pathname = extension
+        ? url.pathname.slice(0, extension.index + extension[0].length)
+        : url.pathname;
+    return `https://${url.hostname}${pathname}`;
+}
+
+// The CDN path below /kf/ ("S1a2b3.jpg"); null for anything else
+function imageKey(src) {
+    const canonical = canonicalImageUrl(src);
+    if (!canonical) return null;
+    const url = new URL(canonical);
+    if (!IMAGE_HOST_PATTERN.test(url.hostname)) return null;
+    const match = url.pathname.match(/^\/kf\/(.+)$/);
+    return match && KEY_PATTERN.test(match[1]) ? match[1] : null;
+}
+
+// Product photos live under /kf/ on the CDN; banners, sprites, icons and
+// UI assets come from /tfs/, /tps/, /imgextra/ or other hosts
+function isProductImage(src) {
+    const key = imageKey(src);
+    return key !== null && !/\.gif$/i.test(key);
+}
+
+// Canonical, deduplicated product images in their original order
+function normalizeImages(images) {
+    const seen = new Set();
+    const result = [];
+    for (const src of images || []) {
+        if (!isProductImage(src)) continue;
+        const key = imageKey(src);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        result.push(canonicalImageUrl(src));
+    }
+    return result;
+}
+
+function imageSourceUrl(key) {
+    return `${IMAGE_ORIGIN}/kf/${key}`;
+}
+
+function contentTypeFor(key) {
+    return CONTENT_TYPES[key.split('.').pop().toLowerCase()] || 'application/octet-stream';
+}
+
+// Local mirror of CDN images. Files are stored under `dir` by key hash and
+// fetched once; concurrent requests for one key share the download.
+// outboundPool: proxies and user agents (lib/http.js)
+function createImageMirror({ dir, maxBytes = 10 * 1024 * 1024, outboundPool = createOutboundPool(), fetchImpl = fetch }) {
+    const inFlight = new Map();
+    const fileFor = key => path.join(dir, createHash('sha1').update(key).digest('hex'));
+
+    async function download(key, file) {
+        const { agent, userAgent } = outboundPool.next();
+        const response = await safeFetch(imageSourceUrl(key), {
+            headers: {
+                'User-Agent': userAgent,
+                'Referer': 'https://www.aliexpress.com/'
+            },
+            agent
+        }, { fetchImpl, maxBytes });
+        if (!response.ok) {
+            const error = new Error(`Image HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        const contentType = response.headers.get('content-type') || contentTypeFor(key);
+        if (!contentType.startsWith('image/')) {
+            throw new Error(`Unexpected image content type: ${contentType}`);
+        }
+
+        const body = Buffer.from(await response.arrayBuffer());
+        if (body.length > maxBytes) {
+            throw new Error(`Image exceeds ${maxBytes} bytes`);
+        }
+
+        await mkdir(dir, { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, body);
+        await rename(tmp, file);
+        return body;
+    }
+
+    // Resolves { body, contentType, cached }; throws for invalid keys
+    async function get(key) {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error('Invalid image key');
+        }
+        const file = fileFor(key);
+        try {
+            return { body: await readFile(file), contentType: contentTypeFor(key), cached: true };
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        if (!inFlight.has(key)) {
+            inFlight.set(key, download(key, file).finally(() => inFlight.delete(key)));
+        }
+        return { body: await inFlight.get(key), contentType: contentTypeFor(key), cached: false };
+    }
+
+    return { get };
+}
+
+export { canonicalImageUrl, imageKey, isProductImage, normalizeImages, createImageMirror };
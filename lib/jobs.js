@@ -0,0 +1,135 @@
+// Background batch jobs: run a worker over many URLs with bounded concurrency
+// and per-host pacing, recording a success or error result for each URL.
+import { randomUUID } from 'node:crypto';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function urlHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return '';
+    }
+}
+
+// concurrency: worker calls running at once across all jobs.
+// hostDelayMs: minimum gap between two calls starting against the same host.
+// hostOf(url): the host the worker will actually fetch from, when that is not
+// the input URL's own host.
+// jobTtl: seconds a finished job is kept for polling.
+function createJobQueue({ worker, concurrency = 3, hostDelayMs = 1000, hostOf = urlHost, jobTtl = 3600, now = Date.now }) {
+    const jobs = new Map();
+    const pending = [];
+    const nextSlotByHost = new Map();
+    let running = 0;
+
+    // Reserve the next start time for this host and wait for it
+    async function pace(url) {
+        if (hostDelayMs <= 0) return;
+        const host = hostOf(url);
+        const slot = Math.max(now(), nextSlotByHost.get(host) || 0);
+        nextSlotByHost.set(host, slot + hostDelayMs);
+        const wait = slot - now();
+        if (wait > 0) await sleep(wait);
+    }
+
+    function pump() {
+        while (running < concurrency && pending.length > 0) {
+            const { job, result } = pending.shift();
+            running++;
+            runOne(job, result).finally(() => {
+                running--;
+                pump();
+            });
+        }
+    }
+
+    async function runOne(job, result) {
+        job.status = 'running';
+        result.status = 'running';
+        try {
+            await pace(result.url);
+            result.data = await worker(result.url, job.options);
+            result.status = 'success';
+            job.succeeded++;
+        } catch (error) {
+            result.status = 'error';
+            result.error = error.message || String(error);
+            // Typed scrape failures (CAPTCHA, NOT_FOUND, ...) keep their code
+            if (error.code) result.code = error.code;
+            job.failed++;
+        }
+        job.completed++;
+        if (job.completed === job.total) {
+            job.status = 'completed';
+            job.finishedAt = new Date(now()).toISOString();
+        }
+    }
+
+    // Drop finished jobs older than jobTtl
+    function prune() {
+        const cutoff = now() - jobTtl * 1000;
+        for (const [id, job] of jobs) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+        }
+    }
+
+    // validate(url) may return an error message; such URLs are recorded as
+    // failed straight away so one bad link does not sink the whole batch.
+    // options are handed to the worker with every URL of this job.
+    function submit(urls, { validate = () => null, options = {} } = {}) {
+        prune();
+        const results = urls.map(url => {
+            const error = validate(url);
+            return { url, status: error ? 'error' : 'pending', data: null, error: error || null };
+        });
+        const rejected = results.filter(result => result.status === 'error').length;
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            createdAt: new Date(now()).toISOString(),
+            finishedAt: null,
+            total: results.length,
+            completed: rejected,
+            succeeded: 0,
+            failed: rejected,
+            options,
+            results
+        };
+        jobs.set(job.id, job);
+
+        if (job.completed === job.total) {
+            job.status = 'completed';
+            job.finishedAt = job.createdAt;
+        }
+        results.filter(result => result.status === 'pending').forEach(result => pending.push({ job, result }));
+        pump();
+        return job;
+    }
+
+    function get(id) {
+        return jobs.get(id) || null;
+    }
+
+    return { submit, get };
+}
+
+// Progress summary for polling clients
+function describeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        progress: {
+            total: job.total,
+            completed: job.completed,
+            succeeded: job.succeeded,
+            failed: job.failed,
+            percent: job.total ? Math.round((job.completed / job.total) * 100) : 100
+        },
+        results: job.results
+    };
+}
+
+export { createJobQueue, describeJob };
@@ -0,0 +1,54 @@
+// Small JSON-file persistence for local state (watchlist, history, settings).
+// Writes are serialized and go through a temp file + rename so a crash
+// never leaves a half-written file behind.
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from './logger.js';
+
+function createJsonStore(file, defaultValue = {}) {
+    let data = null;
+    let queue = Promise.resolve();
+
+    async function load() {
+        if (data) return data;
+        try {
+            data = JSON.parse(await readFile(file, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') logger.warn('Could not read JSON store', { file, error: e });
+            data = structuredClone(defaultValue);
+        }
+        return data;
+    }
+
+    async function save() {
+        await mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify(data, null, 2));
+        await rename(tmp, file);
+    }
+
+    return {
+        async read() {
+            return load();
+        },
+        // fn mutates the loaded data in place; resolves with fn's return
+        // value once the file is written
+        update(fn) {
+            const result = queue.then(async () => {
+                await load();
+                const value = await fn(data);
+                await save();
+                return value;
+            });
+            queue = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+// Resolve a file under the local data directory (DATA_DIR, default ./data)
+function dataPath(...parts) {
+    return path.join(process.env.DATA_DIR || 'data', ...parts);
+}
+
+export { createJsonStore, dataPath };
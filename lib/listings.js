@@ -0,0 +1,110 @@
+// Product listing pages: store catalogues, keyword search and category results
+// all embed the same page state. Newer pages assign it to
+// window._dida_config_._init_data_, older ones to window.runParams, and the
+// oldest only have the rendered product cards.
+import { JSDOM } from 'jsdom';
+import { extractJsonObject } from './page-data.js';
+import { toMoney } from './money.js';
+import { canonicalProductUrl } from './urls.js';
+import { absoluteUrl, toNumber } from './values.js';
+
+// "10,000+ sold", "1.2K sold" style counts
+function toCount(value) {
+    const match = String(value ?? '').replace(/,/g, '').match(/([\d.]+)\s*([KkMm])?/);
+    if (!match) return null;
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Arrays of listing items anywhere in the embedded page state
+function findItemLists(value, lists = [], depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 12) return lists;
+    if (Array.isArray(value)) {
+        if (value.some(item => item && typeof item === 'object' && (item.productId || item.itemId))) lists.push(value);
+        else value.forEach(item => findItemLists(item, lists, depth + 1));
+        return lists;
+    }
+    Object.values(value).forEach(item => findItemLists(item, lists, depth + 1));
+    return lists;
+}
+
+function findKey(value, key, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 12) return null;
+    if (!Array.isArray(value) && value[key] && typeof value[key] === 'object') return value[key];
+    for (const child of Object.values(value)) {
+        const found = findKey(child, key, depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+// One entry of an embedded item list
+function listItem(item) {
+    const id = String(item.productId || item.itemId);
+    const price = item.prices?.salePrice || item.salePrice || item.price || null;
+    const image = item.image?.imgUrl || item.imageUrl || item.imgUrl || null;
+    return {
+        id,
+        url: canonicalProductUrl(id),
+        title: item.title?.displayTitle || item.subject || item.title || '',
+        price: price ? toMoney(price.minPrice ?? price.formattedPrice ?? price, price.currencyCode || null) : null,
+        image: absoluteUrl(image),
+        orders: toCount(item.trade?.tradeDesc ?? item.tradeDesc ?? item.orders ?? item.tradeCount)
+    };
+}
+
+// One rendered product card (pages without embedded state)
+function listCard(card, link, id) {
+    const img = card.querySelector('img');
+    const image = img?.getAttribute('image-src') || img?.getAttribute('data-src') || img?.getAttribute('src') || null;
+    const priceText = card.querySelector('.cost, .price, [class*="price"]')?.textContent || null;
+    const ordersText = card.querySelector('.recent-order, [class*="order"], [class*="sold"]')?.textContent || null;
+    return {
+        id,
+        url: canonicalProductUrl(id),
+        // The image link usually comes first, so look for the titled link in the card
+        title: card.querySelector('a[title]')?.getAttribute('title') || card.querySelector('h3, [class*="title"]')?.textContent.trim() || link.textContent.trim(),
+        price: priceText ? toMoney(priceText) : null,
+        image: absoluteUrl(image),
+        orders: ordersText ? toCount(ordersText.replace(/^\D+/, '')) : null
+    };
+}
+
+function cardsFromDom(document, mapCard) {
+    const products = [];
+    for (const link of document.querySelectorAll('a[href*="/item/"]')) {
+        const match = link.getAttribute('href').match(/\/item\/(?:[^\/]*?)(\d{6,20})\.html/);
+        if (!match || products.some(product => product.id === match[1])) continue;
+
+        const card = link.closest('li, .item, [class*="product"]') || link.parentElement;
+        products.push(mapCard(card, link, match[1]));
+    }
+    return products;
+}
+
+// Parse one page of listing results. mapItem/mapCard turn an embedded item or
+// a rendered card into a result, for callers that need more than listItem/listCard.
+function parseListingPage(html, { mapItem = listItem, mapCard = listCard } = {}) {
+    const state = extractJsonObject(html, 'window._dida_config_._init_data_', { afterAssignment: true }) ||
+        extractJsonObject(html, 'window.runParams');
+    const lists = findItemLists(state);
+    const document = new JSDOM(html).window.document;
+    const products = lists.length ? lists[0].map(mapItem) : cardsFromDom(document, mapCard);
+
+    const pageInfo = findKey(state, 'pageInfo') || {};
+    const total = toNumber(pageInfo.totalResults ?? pageInfo.total);
+    const pageSize = toNumber(pageInfo.pageSize);
+    // Search pages often give only the result count and page size
+    const totalPages = toNumber(pageInfo.totalPage ?? pageInfo.totalPages) ?? (total !== null && pageSize ? Math.ceil(total / pageSize) : null);
+    return {
+        products,
+        total,
+        totalPages,
+        hasNextPage: totalPages !== null
+            ? toNumber(pageInfo.page ?? pageInfo.currentPage ?? 1) < totalPages
+            // Two queries: jsdom drops the other alternatives of a list containing :not()
+            : Boolean(document.querySelector('.ui-pagination-next:not(.ui-pagination-disabled)') || document.querySelector('a[rel="next"]'))
+    };
+}
+
+export { toCount, listItem, listCard, parseListingPage };
@@ -0,0 +1,61 @@
+// Leveled JSON logging
+// One JSON object per line on stdout (LOG_STREAM=stderr for tools whose
+// stdout is their output, such as the CLI). The request ID of the current API call
+// (see withRequestContext) is attached automatically, so deeply nested code
+// can log without passing it around.
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+function withRequestContext(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+function currentRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+// Errors do not survive JSON.stringify; keep the useful parts
+function serializeError(error, withStack) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code ? { code: error.code } : {}),
+        ...(withStack && error.stack ? { stack: error.stack } : {})
+    };
+}
+
+function defaultWrite(line) {
+    (process.env.LOG_STREAM === 'stderr' ? process.stderr : process.stdout).write(line);
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', write = defaultWrite, now = Date.now, fields = {} } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function log(entryLevel, msg, extra = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = { time: new Date(now()).toISOString(), level: entryLevel, msg, ...fields };
+        const requestId = currentRequestId();
+        if (requestId) entry.requestId = requestId;
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = value instanceof Error ? serializeError(value, threshold <= LEVELS.debug || entryLevel === 'error') : value;
+        }
+        write(JSON.stringify(entry) + '\n');
+    }
+
+    return {
+        isLevelEnabled: entryLevel => LEVELS[entryLevel] >= threshold,
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        // Logger that adds `extra` fields to every entry, e.g. { module: 'watchlist' }
+        child: extra => createLogger({ level, write, now, fields: { ...fields, ...extra } })
+    };
+}
+
+const logger = createLogger();
+
+export { logger, createLogger, withRequestContext, currentRequestId };
@@ -0,0 +1,99 @@
+// Prometheus metrics
+// A small in-process registry rendered in the text exposition format for
+// GET /metrics. The shared `metrics` object defines what this service reports.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label set
+function seriesKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function createRegistry() {
+    const collectors = [];
+
+    function counter(name, help) {
+        const series = new Map();
+        const metric = {
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labels);
+                const entry = series.get(key) || { labels, value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            },
+            get(labels = {}) {
+                return series.get(seriesKey(labels))?.value || 0;
+            },
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+                for (const { labels, value } of series.values()) {
+                    lines.push(`${name}${labelString(labels)} ${value}`);
+                }
+                return lines;
+            }
+        };
+        collectors.push(metric);
+        return metric;
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        const metric = {
+            observe(labels, value) {
+                const key = seriesKey(labels);
+                const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+                series.set(key, entry);
+            },
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+                for (const { labels, counts, sum, count } of series.values()) {
+                    buckets.forEach((bound, i) => {
+                        lines.push(`${name}_bucket${labelString({ ...labels, le: bound })} ${counts[i]}`);
+                    });
+                    lines.push(`${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`);
+                    lines.push(`${name}_sum${labelString(labels)} ${sum}`);
+                    lines.push(`${name}_count${labelString(labels)} ${count}`);
+                }
+                return lines;
+            }
+        };
+        collectors.push(metric);
+        return metric;
+    }
+
+    function render() {
+        return collectors.flatMap(collector => collector.render()).join('\n') + '\n';
+    }
+
+    return { counter, histogram, render };
+}
+
+const registry = createRegistry();
+
+const metrics = {
+    registry,
+    httpRequests: registry.counter('aliex_http_requests_total', 'API requests by method, route and response status'),
+    httpDuration: registry.histogram('aliex_http_request_duration_seconds', 'API request latency by method and route'),
+    upstreamResponses: registry.counter('aliex_upstream_responses_total', 'HTTP status codes of fetched AliExpress product pages'),
+    scrapeErrors: registry.counter('aliex_scrape_errors_total', 'Failed product fetches by error code'),
+    // result: supplied (gave at least one field), empty, error or skipped (fields already filled)
+    extractorRuns: registry.counter('aliex_extractor_runs_total', 'Extraction method outcomes per parsed page'),
+    fieldSources: registry.counter('aliex_field_source_total', 'Which extraction method supplied each product field')
+};
+
+export { createRegistry, metrics };
@@ -0,0 +1,174 @@
+// Currency-aware prices
+// Every price leaves the API as { amount, currency }. Amounts scraped from
+// text are parsed locale-aware ("1.234,56 €", "US $1,234.56", "25.000₫").
+import { readFileSync } from 'node:fs';
+import { logger } from './logger.js';
+
+const ISO_CODES = ['USD', 'EUR', 'GBP', 'VND', 'RUB', 'BRL', 'CAD', 'AUD', 'PLN', 'KRW', 'JPY', 'CNY', 'INR', 'TRY', 'CHF', 'MXN', 'UAH', 'ILS', 'SEK', 'NOK', 'DKK', 'CZK', 'HUF', 'NZD', 'SGD', 'THB', 'IDR', 'MYR', 'PHP', 'CLP', 'COP', 'SAR', 'AED'];
+
+// Checked in order, so the specific dollar prefixes come before the bare "$"
+const CURRENCY_SYMBOLS = [
+    [/US\s?\$/, 'USD'],
+    [/C\$|CA\$/, 'CAD'],
+    [/A\$|AU\$/, 'AUD'],
+    [/NZ\$/, 'NZD'],
+    [/R\$/, 'BRL'],
+    [/MX\$/, 'MXN'],
+    [/€/, 'EUR'],
+    [/£/, 'GBP'],
+    [/₫|\d\s?đ/, 'VND'],
+    [/₽|руб/, 'RUB'],
+    [/zł/, 'PLN'],
+    [/₩/, 'KRW'],
+    [/₹/, 'INR'],
+    [/₺/, 'TRY'],
+    [/₴/, 'UAH'],
+    [/₪/, 'ILS'],
+    [/¥|円/, 'JPY'],
+    [/\$/, 'USD']
+];
+
+function detectCurrency(text) {
+    if (typeof text !== 'string') return null;
+    const code = text.toUpperCase().match(/\b[A-Z]{3}\b/g)?.find(candidate => ISO_CODES.includes(candidate));
+    if (code) return code;
+    for (const [pattern, currency] of CURRENCY_SYMBOLS) {
+        if (pattern.test(text)) return currency;
+    }
+    return null;
+}
+
+// Parse the first number in `text`, working out which of "," and "." is the
+// decimal mark. A lone separator followed by exactly three digits is taken as
+// a thousands separator ("1.234" -> 1234, "12,5" -> 12.5).
+function parseAmount(text) {
+    if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+    if (typeof text !== 'string') return null;
+
+    // Spaces and apostrophes only count as separators before a 3-digit group
+    const match = text.match(/-?\d+(?:(?:[.,]|[\s\u00a0\u202f'](?=\d{3}(?!\d)))\d+)*/);
+    if (!match) return null;
+    let number = match[0].replace(/[\s\u00a0\u202f']/g, '');
+
+    const lastComma = number.lastIndexOf(',');
+    const lastDot = number.lastIndexOf('.');
+    let decimalMark = null;
+
+    if (lastComma !== -1 && lastDot !== -1) {
+        decimalMark = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const occurrences = number.split(separator).length - 1;
+        const digitsAfter = number.length - number.lastIndexOf(separator) - 1;
+        if (occurrences === 1 && digitsAfter !== 3) decimalMark = separator;
+    }
+
+    const thousandsMark = decimalMark === ',' ? '.' : ',';
+    number = number.split(decimalMark === null ? /[.,]/ : thousandsMark).join('');
+    if (decimalMark === ',') number = number.replace(',', '.');
+
+    const amount = parseFloat(number);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+function roundAmount(amount, currency) {
+    // Currencies without minor units
+    const digits = ['VND', 'KRW', 'JPY', 'IDR', 'CLP', 'HUF'].includes(currency) ? 0 : 2;
+    const factor = 10 ** digits;
+    return Math.round(amount * factor) / factor;
+}
+
+// Normalize anything price-like (number, "US $12.34", { value, currency },
+// { amount, currency }) into { amount, currency }, or null if no amount.
+function toMoney(value, fallbackCurrency = null) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'object') {
+        const amount = parseAmount(value.amount ?? value.value ?? value.minAmount?.value ?? null);
+        if (amount === null) return null;
+        return { amount, currency: value.currency || value.currencyCode || fallbackCurrency };
+    }
+
+    const amount = parseAmount(typeof value === 'number' ? value : String(value));
+    if (amount === null) return null;
+    return { amount, currency: detectCurrency(String(value)) || fallbackCurrency };
+}
+
+// rates: { base: 'USD', rates: { EUR: 0.92, ... } } (units of currency per base unit)
+function convertMoney(money, target, table) {
+    if (!money || !target || money.currency === target) return money;
+    if (!money.currency) {
+        throw new Error(`Cannot convert a price with unknown currency to ${target}`);
+    }
+
+    const rateOf = currency => (currency === table.base ? 1 : table.rates?.[currency]);
+    const from = rateOf(money.currency);
+    const to = rateOf(target);
+    if (!from || !to) {
+        throw new Error(`No exchange rate for ${!from ? money.currency : target}`);
+    }
+
+    return { amount: roundAmount((money.amount / from) * to, target), currency: target };
+}
+
+function hasRate(currency, table) {
+    return currency === table.base || Boolean(table.rates?.[currency]);
+}
+
+// Apply fn to every price in a product payload (top level, variants, shipping)
+function mapProductPrices(product, fn) {
+    const mapped = { ...product };
+    for (const field of ['salePrice', 'originalPrice']) {
+        if (mapped[field]) mapped[field] = fn(mapped[field]);
+    }
+    if (Array.isArray(product.variants)) {
+        mapped.variants = product.variants.map(variant => ({
+            ...variant,
+            salePrice: variant.salePrice && fn(variant.salePrice),
+            originalPrice: variant.originalPrice && fn(variant.originalPrice)
+        }));
+    }
+    if (Array.isArray(product.shipping)) {
+        mapped.shipping = product.shipping.map(option => ({ ...option, cost: option.cost && fn(option.cost) }));
+    }
+    return mapped;
+}
+
+function convertProductPrices(product, target, table) {
+    return mapProductPrices(product, money => convertMoney(money, target, table));
+}
+
+// Prices convertProductPrices would fail on, as [{ path, message }] in the
+// shape of lib/schema.js errors; empty when the product converts cleanly
+function conversionErrors(product, target, table, path = 'product') {
+    const errors = [];
+    const check = (money, at) => {
+        if (!money || money.currency === target) return;
+        if (!money.currency) {
+            errors.push({ path: `${at}.currency`, message: `is required to convert to ${target}` });
+        } else if (!hasRate(money.currency, table)) {
+            errors.push({ path: `${at}.currency`, message: `has no exchange rate (${money.currency})` });
+        }
+    };
+    for (const field of ['salePrice', 'originalPrice']) check(product[field], `${path}.${field}`);
+    (Array.isArray(product.variants) ? product.variants : []).forEach((variant, index) => {
+        for (const field of ['salePrice', 'originalPrice']) check(variant?.[field], `${path}.variants[${index}].${field}`);
+    });
+    (Array.isArray(product.shipping) ? product.shipping : []).forEach((option, index) => {
+        check(option?.cost, `${path}.shipping[${index}].cost`);
+    });
+    return errors;
+}
+
+// Load the rates table from CURRENCY_RATES_FILE (JSON), defaulting to the
+// bundled config/currency-rates.json
+function loadRates(file = process.env.CURRENCY_RATES_FILE || new URL('../config/currency-rates.json', import.meta.url)) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (e) {
+        logger.warn('Could not load currency rates', { error: e });
+        return { base: 'USD', rates: {} };
+    }
+}
+
+export { toMoney, parseAmount, detectCurrency, roundAmount, convertMoney, convertProductPrices, conversionErrors, mapProductPrices, hasRate, loadRates };
@@ -0,0 +1,179 @@
+// Product payload normalization for /api/v2
+// The v1 payload's shape depends on which extractor supplied each field
+// (rating may be "4.9" or 4.9, discount only exists on DOM pages). This maps
+// any v1 payload onto the Product schema in lib/openapi.js: fixed types,
+// every field present, and a schemaVersion.
+import { SCHEMA_VERSION } from './openapi.js';
+import { toNumber } from './values.js';
+
+function toCount(value) {
+    const number = toNumber(value);
+    return number === null ? null : Math.max(0, Math.round(number));
+}
+
+function toStringOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return String(value);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function normalizeMoney(money, fallback = null) {
+    const amount = toNumber(money?.amount);
+    if (amount === null) return fallback ?? { amount: 0, currency: null };
+    return { amount: Math.max(0, amount), currency: money.currency ? String(money.currency).toUpperCase() : null };
+}
+
+// Computed prices (lib/pricing.js) are only there when a profile was applied
+function normalizeOptionalMoney(money) {
+    return money ? normalizeMoney(money) : null;
+}
+
+function normalizeMargin(margin) {
+    if (!margin) return null;
+    return {
+        amount: toNumber(margin.amount) ?? 0,
+        currency: margin.currency ? String(margin.currency).toUpperCase() : null,
+        percent: toNumber(margin.percent) ?? 0
+    };
+}
+
+// Percent off, from the page when it says so, else worked out from the prices
+function normalizeDiscount(discount, salePrice, originalPrice) {
+    const stated = toNumber(discount);
+    if (stated !== null) return clamp(Math.round(stated), 0, 100);
+    if (originalPrice.amount > salePrice.amount && originalPrice.currency === salePrice.currency) {
+        return clamp(Math.round((1 - salePrice.amount / originalPrice.amount) * 100), 0, 100);
+    }
+    return 0;
+}
+
+function normalizeSpec(spec) {
+    return { label: String(spec?.label ?? ''), value: String(spec?.value ?? '') };
+}
+
+function normalizeOption(option) {
+    return {
+        id: toStringOrNull(option.id),
+        name: String(option.name ?? ''),
+        values: (option.values || []).map(value => ({
+            id: toStringOrNull(value.id),
+            name: String(value.name ?? ''),
+            image: toStringOrNull(value.image)
+        }))
+    };
+}
+
+function normalizeVariant(variant) {
+    const salePrice = normalizeMoney(variant.salePrice);
+    const stock = toCount(variant.stock);
+    return {
+        skuId: toStringOrNull(variant.skuId),
+        optionValues: Object.fromEntries(Object.entries(variant.optionValues || {}).map(([name, value]) => [name, String(value)])),
+        optionValueIds: (variant.optionValueIds || []).map(String),
+        salePrice,
+        originalPrice: normalizeMoney(variant.originalPrice, salePrice),
+        stock,
+        available: typeof variant.available === 'boolean' ? variant.available : stock !== 0,
+        image: toStringOrNull(variant.image),
+        retailPrice: normalizeOptionalMoney(variant.retailPrice),
+        compareAtPrice: normalizeOptionalMoney(variant.compareAtPrice),
+        margin: normalizeMargin(variant.margin)
+    };
+}
+
+function normalizeShippingOption(option) {
+    const cost = normalizeOptionalMoney(option.cost);
+    const min = toCount(option.deliveryDays?.min);
+    const max = toCount(option.deliveryDays?.max);
+    return {
+        carrier: String(option.carrier ?? ''),
+        carrierCode: toStringOrNull(option.carrierCode),
+        cost,
+        free: typeof option.free === 'boolean' ? option.free : cost?.amount === 0,
+        deliveryDays: min !== null || max !== null ? { min: min ?? max, max: max ?? min } : null,
+        estimatedDelivery: toStringOrNull(option.estimatedDelivery),
+        shipsFrom: toStringOrNull(option.shipsFrom),
+        tracking: typeof option.tracking === 'boolean' ? option.tracking : null
+    };
+}
+
+function normalizeStore(store) {
+    if (!store) return null;
+    const percent = toNumber(store.positiveFeedbackPercent);
+    const yearsOpen = toNumber(store.yearsOpen);
+    return {
+        id: toStringOrNull(store.id),
+        name: String(store.name ?? ''),
+        url: toStringOrNull(store.url),
+        positiveFeedbackPercent: percent === null ? null : clamp(percent, 0, 100),
+        followers: toCount(store.followers),
+        yearsOpen: yearsOpen === null ? null : Math.max(0, yearsOpen),
+        openedAt: toStringOrNull(store.openedAt),
+        country: toStringOrNull(store.country),
+        topBrand: Boolean(store.topBrand),
+        topRatedSeller: Boolean(store.topRatedSeller),
+        choice: Boolean(store.choice)
+    };
+}
+
+function normalizeFullDescription(description) {
+    if (!description) return null;
+    return {
+        sourceUrl: toStringOrNull(description.sourceUrl),
+        html: String(description.html ?? ''),
+        text: String(description.text ?? ''),
+        images: (description.images || []).map(String),
+        error: toStringOrNull(description.error)
+    };
+}
+
+function normalizeTranslations(translations) {
+    if (!translations) return null;
+    return Object.fromEntries(Object.entries(translations).map(([locale, translation]) => [locale, {
+        locale: toStringOrNull(translation.locale),
+        title: String(translation.title ?? ''),
+        description: String(translation.description ?? ''),
+        specs: (translation.specs || []).map(normalizeSpec),
+        error: toStringOrNull(translation.error)
+    }]));
+}
+
+function normalizeProduct(product) {
+    const salePrice = normalizeMoney(product.salePrice);
+    const originalPrice = normalizeMoney(product.originalPrice, salePrice);
+    const rating = toNumber(product.rating);
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        productId: toStringOrNull(product.productId),
+        url: toStringOrNull(product.url),
+        shipTo: toStringOrNull(product.shipTo),
+        title: String(product.title ?? ''),
+        salePrice,
+        originalPrice,
+        discount: normalizeDiscount(product.discount, salePrice, originalPrice),
+        rating: rating === null ? 0 : clamp(rating, 0, 5),
+        reviews: toCount(product.reviews) ?? 0,
+        images: (product.images || []).filter(Boolean).map(String),
+        description: String(product.description ?? ''),
+        specs: (product.specs || []).map(normalizeSpec),
+        options: (product.options || []).map(normalizeOption),
+        variants: (product.variants || []).map(normalizeVariant),
+        shipping: (product.shipping || []).map(normalizeShippingOption),
+        descriptionUrl: toStringOrNull(product.descriptionUrl),
+        store: normalizeStore(product.store),
+        fullDescription: normalizeFullDescription(product.fullDescription),
+        pricingProfile: toStringOrNull(product.pricingProfile),
+        retailPrice: normalizeOptionalMoney(product.retailPrice),
+        compareAtPrice: normalizeOptionalMoney(product.compareAtPrice),
+        margin: normalizeMargin(product.margin),
+        locale: toStringOrNull(product.locale),
+        translations: normalizeTranslations(product.translations),
+        sources: { ...(product._meta?.sources || {}) }
+    };
+}
+
+export { normalizeProduct };
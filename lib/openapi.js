@@ -0,0 +1,360 @@
+// OpenAPI document for the versioned /api/v2 endpoints
+// The component schemas double as the request validators (lib/schema.js) and
+// as the contract normalizeProduct (lib/normalize.js) is tested against.
+// Bump SCHEMA_VERSION on any incompatible change to the Product schema.
+import { ERROR_CODES } from './errors.js';
+import { validate } from './schema.js';
+
+const SCHEMA_VERSION = '2.1';
+
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const money = { $ref: '#/components/schemas/Money' };
+
+// Options shared by POST /api/v2/product (body) and GET /api/v2/product/{id} (query)
+const productOptions = {
+    shipTo: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'Country to quote shipping for, e.g. "US"' },
+    currency: { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'Convert prices to this ISO 4217 currency' },
+    includeDescription: { type: 'string', enum: ['full'], description: 'Also fetch the sanitized seller description' },
+    images: { type: 'string', enum: ['original', 'proxy'], description: 'proxy rewrites image URLs to this server\'s mirror' },
+    pricingProfile: { type: 'string', minLength: 1, description: 'Add retail prices computed by this pricing profile' },
+    locale: {
+        type: 'string',
+        pattern: '^[A-Za-z]{2}([_-][A-Za-z]{2})?(,\\s*[A-Za-z]{2}([_-][A-Za-z]{2})?)*$',
+        description: 'Content language, e.g. "vi_VN"; a comma-separated list also returns translations'
+    }
+};
+
+const nullableMoney = { anyOf: [money, { type: 'null' }] };
+const nullableMargin = { anyOf: [{ $ref: '#/components/schemas/Margin' }, { type: 'null' }] };
+
+const schemas = {
+    Money: {
+        type: 'object',
+        required: ['amount', 'currency'],
+        additionalProperties: false,
+        properties: {
+            amount: { type: 'number', minimum: 0 },
+            currency: nullable({ type: 'string', pattern: '^[A-Z]{3}$' })
+        }
+    },
+    Margin: {
+        type: 'object',
+        required: ['amount', 'currency', 'percent'],
+        additionalProperties: false,
+        properties: {
+            amount: { type: 'number' },
+            currency: nullable({ type: 'string', pattern: '^[A-Z]{3}$' }),
+            percent: { type: 'number', description: 'Share of the retail price' }
+        }
+    },
+    Translation: {
+        type: 'object',
+        required: ['locale', 'title', 'description', 'specs', 'error'],
+        additionalProperties: false,
+        properties: {
+            locale: nullable({ type: 'string' }),
+            title: { type: 'string' },
+            description: { type: 'string' },
+            specs: { type: 'array', items: { $ref: '#/components/schemas/Spec' } },
+            error: nullable({ type: 'string' })
+        }
+    },
+    Spec: {
+        type: 'object',
+        required: ['label', 'value'],
+        additionalProperties: false,
+        properties: {
+            label: { type: 'string' },
+            value: { type: 'string' }
+        }
+    },
+    Option: {
+        type: 'object',
+        required: ['id', 'name', 'values'],
+        additionalProperties: false,
+        properties: {
+            id: nullable({ type: 'string' }),
+            name: { type: 'string' },
+            values: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'name', 'image'],
+                    additionalProperties: false,
+                    properties: {
+                        id: nullable({ type: 'string' }),
+                        name: { type: 'string' },
+                        image: nullable({ type: 'string' })
+                    }
+                }
+            }
+        }
+    },
+    Variant: {
+        type: 'object',
+        required: [
+            'skuId', 'optionValues', 'optionValueIds', 'salePrice', 'originalPrice', 'stock', 'available', 'image',
+            'retailPrice', 'compareAtPrice', 'margin'
+        ],
+        additionalProperties: false,
+        properties: {
+            skuId: nullable({ type: 'string' }),
+            optionValues: { type: 'object', additionalProperties: { type: 'string' } },
+            optionValueIds: { type: 'array', items: { type: 'string' } },
+            salePrice: money,
+            originalPrice: money,
+            stock: nullable({ type: 'integer', minimum: 0 }),
+            available: { type: 'boolean' },
+            image: nullable({ type: 'string' }),
+            retailPrice: nullableMoney,
+            compareAtPrice: nullableMoney,
+            margin: nullableMargin
+        }
+    },
+    ShippingOption: {
+        type: 'object',
+        required: ['carrier', 'carrierCode', 'cost', 'free', 'deliveryDays', 'estimatedDelivery', 'shipsFrom', 'tracking'],
+        additionalProperties: false,
+        properties: {
+            carrier: { type: 'string' },
+            carrierCode: nullable({ type: 'string' }),
+            // null when the page does not state the cost
+            cost: nullableMoney,
+            free: { type: 'boolean' },
+            deliveryDays: {
+                type: ['object', 'null'],
+                required: ['min', 'max'],
+                additionalProperties: false,
+                properties: {
+                    min: { type: 'integer', minimum: 0 },
+                    max: { type: 'integer', minimum: 0 }
+                }
+            },
+            estimatedDelivery: nullable({ type: 'string' }),
+            shipsFrom: nullable({ type: 'string' }),
+            tracking: nullable({ type: 'boolean' })
+        }
+    },
+    Store: {
+        type: 'object',
+        required: ['id', 'name', 'url', 'positiveFeedbackPercent', 'followers', 'yearsOpen', 'openedAt', 'country', 'topBrand', 'topRatedSeller', 'choice'],
+        additionalProperties: false,
+        properties: {
+            id: nullable({ type: 'string' }),
+            name: { type: 'string' },
+            url: nullable({ type: 'string' }),
+            positiveFeedbackPercent: nullable({ type: 'number', minimum: 0, maximum: 100 }),
+            followers: nullable({ type: 'integer', minimum: 0 }),
+            yearsOpen: nullable({ type: 'number', minimum: 0 }),
+            openedAt: nullable({ type: 'string' }),
+            country: nullable({ type: 'string' }),
+            topBrand: { type: 'boolean' },
+            topRatedSeller: { type: 'boolean' },
+            choice: { type: 'boolean' }
+        }
+    },
+    FullDescription: {
+        type: 'object',
+        required: ['sourceUrl', 'html', 'text', 'images', 'error'],
+        additionalProperties: false,
+        properties: {
+            sourceUrl: nullable({ type: 'string' }),
+            html: { type: 'string' },
+            text: { type: 'string' },
+            images: { type: 'array', items: { type: 'string' } },
+            error: nullable({ type: 'string' })
+        }
+    },
+    Product: {
+        type: 'object',
+        required: [
+            'schemaVersion', 'productId', 'url', 'shipTo', 'title', 'salePrice', 'originalPrice', 'discount',
+            'rating', 'reviews', 'images', 'description', 'specs', 'options', 'variants', 'shipping',
+            'descriptionUrl', 'store', 'fullDescription', 'pricingProfile', 'retailPrice', 'compareAtPrice', 'margin',
+            'locale', 'translations', 'sources'
+        ],
+        additionalProperties: false,
+        properties: {
+            schemaVersion: { type: 'string', enum: [SCHEMA_VERSION] },
+            productId: nullable({ type: 'string' }),
+            url: nullable({ type: 'string' }),
+            shipTo: nullable({ type: 'string', pattern: '^[A-Z]{2}$' }),
+            title: { type: 'string' },
+            salePrice: money,
+            originalPrice: money,
+            discount: { type: 'integer', minimum: 0, maximum: 100, description: 'Percent off originalPrice' },
+            rating: { type: 'number', minimum: 0, maximum: 5 },
+            reviews: { type: 'integer', minimum: 0 },
+            images: { type: 'array', items: { type: 'string' } },
+            description: { type: 'string' },
+            specs: { type: 'array', items: { $ref: '#/components/schemas/Spec' } },
+            options: { type: 'array', items: { $ref: '#/components/schemas/Option' } },
+            variants: { type: 'array', items: { $ref: '#/components/schemas/Variant' } },
+            shipping: { type: 'array', items: { $ref: '#/components/schemas/ShippingOption' } },
+            descriptionUrl: nullable({ type: 'string' }),
+            store: { anyOf: [{ $ref: '#/components/schemas/Store' }, { type: 'null' }] },
+            fullDescription: {
+                anyOf: [{ $ref: '#/components/schemas/FullDescription' }, { type: 'null' }],
+                description: 'Filled when includeDescription=full'
+            },
+            // Filled when pricingProfile is given
+            pricingProfile: nullable({ type: 'string' }),
+            retailPrice: nullableMoney,
+            compareAtPrice: nullableMoney,
+            margin: nullableMargin,
+            locale: { ...nullable({ type: 'string' }), description: 'Language title, description and specs were served in' },
+            translations: {
+                anyOf: [{ type: 'object', additionalProperties: { $ref: '#/components/schemas/Translation' } }, { type: 'null' }],
+                description: 'Filled when several locales are requested, keyed by requested locale'
+            },
+            sources: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                description: 'Which extraction method supplied each field'
+            }
+        }
+    },
+    ProductResponse: {
+        type: 'object',
+        required: ['success', 'data'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: { $ref: '#/components/schemas/Product' }
+        }
+    },
+    ProductRequest: {
+        type: 'object',
+        required: ['url'],
+        additionalProperties: false,
+        properties: {
+            url: { type: 'string', minLength: 1, description: 'Any AliExpress product URL, short link or bare product ID' },
+            ...productOptions
+        }
+    },
+    ProductQuery: {
+        type: 'object',
+        properties: {
+            ...productOptions,
+            fresh: { type: 'string', enum: ['0', '1', 'true', 'false'], description: 'Skip the cache and refetch the page' }
+        }
+    },
+    ParseRequest: {
+        type: 'object',
+        required: ['html'],
+        additionalProperties: false,
+        properties: {
+            html: { type: 'string', minLength: 1, description: 'A saved product page' },
+            url: { type: 'string', description: 'Where the page came from' }
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'message'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            details: {
+                type: 'array',
+                description: 'Request validation failures',
+                items: {
+                    type: 'object',
+                    required: ['path', 'message'],
+                    properties: {
+                        path: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const jsonContent = name => ({ 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } });
+
+const errorResponses = {
+    400: { description: 'Invalid request', content: jsonContent('Error') },
+    401: { description: 'Missing or unknown API key', content: jsonContent('Error') },
+    429: { description: 'Rate limit or daily quota exceeded', content: jsonContent('Error') }
+};
+
+// Typed scrape failures (lib/errors.js), by the status they are answered with.
+// INVALID_URL shares 400 with request validation.
+const scrapeErrorResponses = Object.fromEntries(
+    [...new Set(Object.values(ERROR_CODES).map(entry => entry.status))].map(status => {
+        const codes = Object.entries(ERROR_CODES).filter(([, entry]) => entry.status === status).map(([code]) => code).join(', ');
+        return [status, {
+            description: errorResponses[status] ? `${errorResponses[status].description}; ${codes}` : codes,
+            content: jsonContent('Error')
+        }];
+    })
+);
+
+const productResponse = { 200: { description: 'Product data', content: jsonContent('ProductResponse') } };
+
+const paths = {
+    '/api/v2/product': {
+        post: {
+            operationId: 'fetchProduct',
+            summary: 'Fetch a product by URL or ID',
+            parameters: [{ name: 'fresh', in: 'query', schema: schemas.ProductQuery.properties.fresh }],
+            requestBody: { required: true, content: jsonContent('ProductRequest') },
+            responses: { ...productResponse, ...errorResponses, ...scrapeErrorResponses }
+        }
+    },
+    '/api/v2/product/{id}': {
+        get: {
+            operationId: 'getProduct',
+            summary: 'Fetch a product by ID',
+            parameters: [
+                { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+                ...Object.entries(schemas.ProductQuery.properties).map(([name, schema]) => ({ name, in: 'query', schema }))
+            ],
+            responses: { ...productResponse, ...errorResponses, ...scrapeErrorResponses }
+        }
+    },
+    '/api/v2/parse': {
+        post: {
+            operationId: 'parseProduct',
+            summary: 'Parse already-fetched product page HTML',
+            requestBody: { required: true, content: jsonContent('ParseRequest') },
+            responses: {
+                ...productResponse,
+                ...errorResponses,
+                422: { description: 'The page is a captcha, block or removed-item page', content: jsonContent('Error') }
+            }
+        }
+    }
+};
+
+// Validate a value against one of the component schemas, e.g.
+// validateSchema('ProductRequest', req.body); returns [{ path, message }]
+function validateSchema(name, value) {
+    return validate({ $ref: `#/components/schemas/${name}` }, value, { root: { components: { schemas } } });
+}
+
+// serverUrl: the public base URL, so generated clients point at this deployment
+function openApiDocument({ serverUrl = null } = {}) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'AliExpress Product API',
+            version: SCHEMA_VERSION,
+            description: 'Normalized AliExpress product data. Every product carries schemaVersion; all fields are always present.'
+        },
+        ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+        components: {
+            schemas,
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                bearer: { type: 'http', scheme: 'bearer' }
+            }
+        },
+        security: [{ apiKey: [] }, { bearer: [] }],
+        paths
+    };
+}
+
+export { SCHEMA_VERSION, schemas, validateSchema, openApiDocument };
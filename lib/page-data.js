@@ -0,0 +1,51 @@
+// Helpers for pulling inline JSON objects (window.runParams, DCData) out of page HTML
+import { logger } from './logger.js';
+
+// Find the object literal assigned after `marker` and return it parsed, or null.
+// Scans at most `maxLength` characters from the marker for the matching brace.
+function extractJsonObject(html, marker, { maxLength = 500000, afterAssignment = false } = {}) {
+    const start = html.indexOf(marker);
+    if (start === -1) return null;
+
+    const section = html.substring(start, start + maxLength);
+    let searchFrom = 0;
+    if (afterAssignment) {
+        searchFrom = section.indexOf('=', marker.length);
+        if (searchFrom === -1) return null;
+    }
+
+    const openBrace = section.indexOf('{', searchFrom);
+    if (openBrace === -1) return null;
+
+    // Find matching closing brace, skipping braces inside string literals
+    let braceCount = 0;
+    let closePos = -1;
+    let inString = null;
+    for (let i = openBrace; i < section.length; i++) {
+        const char = section[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === inString) inString = null;
+            continue;
+        }
+        if (char === '"' || char === "'") inString = char;
+        else if (char === '{') braceCount++;
+        else if (char === '}') {
+            braceCount--;
+            if (braceCount === 0) {
+                closePos = i;
+                break;
+            }
+        }
+    }
+    if (closePos === -1) return null;
+
+    try {
+        return JSON.parse(section.substring(openBrace, closePos + 1));
+    } catch (e) {
+        logger.debug('Failed to parse inline JSON', { marker, error: e });
+        return null;
+    }
+}
+
+export { extractJsonObject };
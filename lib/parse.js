@@ -0,0 +1,69 @@
+// Offline parsing: turn a saved or freshly fetched product page into product data.
+// No network access happens here, so it can be exercised against fixtures.
+import { extractProduct } from './extractors/index.js';
+import { mapProductPrices } from './money.js';
+import { canonicalImageUrl, normalizeImages } from './images.js';
+import { classifyBlockedPage, classifyEmptyPage } from './errors.js';
+import { detectLocale } from './region.js';
+
+// currency: what the page is known to be priced in (from the request
+// cookies), used for prices that carry no currency of their own.
+// status: the HTTP status the page came with, when fetched.
+// Throws a ScrapeError for captcha, block, removed and unparseable pages.
+function parseProductHtml(html, { url = null, currency = null, status = 200 } = {}) {
+    if (typeof html !== 'string') {
+        throw new TypeError('HTML must be a string');
+    }
+
+    const blocked = classifyBlockedPage(html, { status });
+    if (blocked) throw blocked;
+
+    // Run every registered extractor and merge their fields by priority
+    const { product: productData, sources } = extractProduct(html, { url });
+
+    // Neither a title nor a price: a removed item, region wall or unknown layout
+    if (!sources.title && !sources.salePrice) {
+        throw classifyEmptyPage(html, { status });
+    }
+
+    if (!productData.title) productData.title = 'Product';
+    if (!productData.salePrice) productData.salePrice = { amount: 0, currency: null };
+    if (!productData.originalPrice?.amount) productData.originalPrice = productData.salePrice;
+    if (!productData.rating) productData.rating = 0;
+    if (!productData.reviews) productData.reviews = 0;
+    // Full-resolution, deduplicated product photos; empty when none were found
+    productData.images = normalizeImages(productData.images);
+    if (!productData.description) productData.description = '';
+    if (!productData.specs) productData.specs = [];
+    if (!productData.options) productData.options = [];
+    if (!productData.variants) productData.variants = [];
+    for (const variant of productData.variants) {
+        if (variant.image) variant.image = canonicalImageUrl(variant.image);
+        // A SKU without its own price sells at the product price, not for 0
+        if (!variant.salePrice) Object.assign(variant, { salePrice: productData.salePrice, originalPrice: variant.originalPrice || productData.originalPrice });
+        if (!variant.originalPrice) variant.originalPrice = variant.salePrice;
+    }
+    for (const option of productData.options) {
+        for (const value of option.values) {
+            if (value.image) value.image = canonicalImageUrl(value.image);
+        }
+    }
+    if (!productData.shipping) productData.shipping = [];
+    if (!productData.descriptionUrl) productData.descriptionUrl = null;
+    if (!productData.store) productData.store = null;
+    // Language of title, description and specs as served
+    productData.locale = detectLocale(html);
+
+    // Fill unknown currencies from the main price, else the page currency
+    const pageCurrency = productData.salePrice.currency || currency;
+    Object.assign(productData, mapProductPrices(productData, money => (
+        money.currency ? money : { ...money, currency: pageCurrency }
+    )));
+
+    // Which extractor supplied each field, for debugging bad listings
+    productData._meta = { sources };
+
+    return productData;
+}
+
+export { parseProductHtml };
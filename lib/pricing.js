@@ -0,0 +1,202 @@
+// Dropship pricing rules
+// A pricing profile turns the AliExpress cost of an item into the price we
+// sell at: a markup picked by price band (percentage plus a fixed amount),
+// optional shipping pass-through, charm endings such as .99 and a
+// compare-at price. Profiles are kept in a json-store and applied per request.
+import { validate } from './schema.js';
+import { roundAmount } from './money.js';
+
+const PROFILE_ID_PATTERN = '^[a-z0-9][a-z0-9-]{0,63}$';
+
+const PROFILE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'bands'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', pattern: PROFILE_ID_PATTERN },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        // Prices are converted to this currency before the bands apply
+        currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' },
+        // Ordered by upTo; the last band (upTo: null) catches everything above
+        bands: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    upTo: { type: ['number', 'null'], minimum: 0 },
+                    markupPercent: { type: 'number', minimum: 0 },
+                    fixedMarkup: { type: 'number', minimum: 0 }
+                }
+            }
+        },
+        // Add the cheapest shipping option to the cost before the markup
+        passThroughShipping: { type: 'boolean' },
+        // e.g. 0.99 turns 12.30 into 12.99; null rounds to the cent
+        charmEnding: { type: ['number', 'null'], minimum: 0, maximum: 0.99 },
+        compareAt: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                // originalPrice: the marked-up AliExpress list price;
+                // retailPrice: our price plus `percent`; none: no compare-at price
+                from: { type: 'string', enum: ['originalPrice', 'retailPrice', 'none'] },
+                percent: { type: 'number', minimum: 0 }
+            }
+        }
+    }
+};
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+// Validate a profile as sent by a client and fill in the defaults.
+// Returns { profile, errors }.
+function normalizeProfile(input, { id = null } = {}) {
+    const errors = validate(PROFILE_SCHEMA, input);
+    if (errors.length > 0) return { profile: null, errors };
+
+    const bands = input.bands.map(band => ({ upTo: band.upTo ?? null, markupPercent: band.markupPercent ?? 0, fixedMarkup: band.fixedMarkup ?? 0 }));
+    bands.forEach((band, index) => {
+        const last = index === bands.length - 1;
+        if (last && band.upTo !== null) errors.push({ path: `bands[${index}].upTo`, message: 'must be null on the last band' });
+        if (!last && band.upTo === null) errors.push({ path: `bands[${index}].upTo`, message: 'is only allowed to be null on the last band' });
+        if (index > 0 && band.upTo !== null && bands[index - 1].upTo !== null && band.upTo <= bands[index - 1].upTo) {
+            errors.push({ path: `bands[${index}].upTo`, message: 'must be greater than the previous band\'s' });
+        }
+    });
+
+    const profileId = id || input.id || slugify(input.name);
+    if (!new RegExp(PROFILE_ID_PATTERN).test(profileId)) {
+        errors.push({ path: 'id', message: `must match ${PROFILE_ID_PATTERN}` });
+    }
+    if (errors.length > 0) return { profile: null, errors };
+
+    return {
+        profile: {
+            id: profileId,
+            name: input.name,
+            currency: input.currency ?? null,
+            bands,
+            passThroughShipping: input.passThroughShipping ?? false,
+            charmEnding: input.charmEnding ?? null,
+            compareAt: { from: input.compareAt?.from || 'originalPrice', percent: input.compareAt?.percent ?? 0 }
+        },
+        errors: []
+    };
+}
+
+// Round up to the next price with the given ending (12.30 -> 12.99)
+function charm(amount, ending, currency) {
+    if (ending === null) return roundAmount(amount, currency);
+    return roundAmount(Math.max(0, Math.ceil(roundAmount(amount - ending, currency)) + ending), currency);
+}
+
+function markUp(cost, profile, currency) {
+    const band = profile.bands.find(candidate => candidate.upTo === null || cost <= candidate.upTo);
+    return charm(cost * (1 + band.markupPercent / 100) + band.fixedMarkup, profile.charmEnding, currency);
+}
+
+// Options without a known cost are left out rather than counted as free
+function cheapestShipping(product) {
+    const costs = (product.shipping || []).map(option => option.cost?.amount).filter(amount => typeof amount === 'number');
+    return costs.length ? Math.min(...costs) : 0;
+}
+
+// { retailPrice, compareAtPrice, margin } for one sale/original price pair
+function priceItem(salePrice, originalPrice, shippingCost, profile) {
+    const currency = salePrice.currency;
+    const cost = salePrice.amount + shippingCost;
+    const retail = markUp(cost, profile, currency);
+
+    let compareAt = null;
+    if (profile.compareAt.from === 'originalPrice' && originalPrice?.amount > salePrice.amount) {
+        compareAt = charm(markUp(originalPrice.amount + shippingCost, profile, currency) * (1 + profile.compareAt.percent / 100), profile.charmEnding, currency);
+    } else if (profile.compareAt.from === 'retailPrice' && profile.compareAt.percent > 0) {
+        compareAt = charm(retail * (1 + profile.compareAt.percent / 100), profile.charmEnding, currency);
+    }
+
+    const marginAmount = roundAmount(retail - cost, currency);
+    return {
+        retailPrice: { amount: retail, currency },
+        compareAtPrice: compareAt !== null && compareAt > retail ? { amount: compareAt, currency } : null,
+        margin: {
+            amount: marginAmount,
+            currency,
+            percent: retail > 0 ? Math.round((marginAmount / retail) * 1000) / 10 : 0
+        }
+    };
+}
+
+// Add retailPrice, compareAtPrice and margin to the product and its variants.
+// Prices must already be in the profile's currency (see convertProductPrices).
+function applyPricing(product, profile) {
+    const shippingCost = profile.passThroughShipping ? cheapestShipping(product) : 0;
+    return {
+        ...product,
+        pricingProfile: profile.id,
+        ...priceItem(product.salePrice, product.originalPrice, shippingCost, profile),
+        variants: (product.variants || []).map(variant => ({
+            ...variant,
+            ...priceItem(variant.salePrice, variant.originalPrice, shippingCost, profile)
+        }))
+    };
+}
+
+// store: a json-store holding { profiles: { [id]: profile } }
+function createPricingProfiles({ store, now = Date.now }) {
+    const emptyState = data => {
+        data.profiles = data.profiles || {};
+        return data;
+    };
+
+    async function list() {
+        return Object.values(emptyState(await store.read()).profiles);
+    }
+
+    async function get(id) {
+        return emptyState(await store.read()).profiles[id] || null;
+    }
+
+    // Resolves { profile } or { errors } (validation) or { conflict: true }
+    async function create(input) {
+        const { profile, errors } = normalizeProfile(input);
+        if (!profile) return { errors };
+        return store.update(raw => {
+            const data = emptyState(raw);
+            if (data.profiles[profile.id]) return { conflict: true };
+            const timestamp = new Date(now()).toISOString();
+            data.profiles[profile.id] = { ...profile, createdAt: timestamp, updatedAt: timestamp };
+            return { profile: data.profiles[profile.id] };
+        });
+    }
+
+    // Create or replace the profile stored under id (an id in the body is
+    // ignored); { profile, created } or { errors }
+    async function replace(id, input) {
+        const { profile, errors } = normalizeProfile(input, { id });
+        if (!profile) return { errors };
+        return store.update(raw => {
+            const data = emptyState(raw);
+            const existing = data.profiles[id];
+            const timestamp = new Date(now()).toISOString();
+            data.profiles[id] = { ...profile, createdAt: existing?.createdAt || timestamp, updatedAt: timestamp };
+            return { profile: data.profiles[id], created: !existing };
+        });
+    }
+
+    async function remove(id) {
+        return store.update(raw => {
+            const data = emptyState(raw);
+            if (!data.profiles[id]) return false;
+            delete data.profiles[id];
+            return true;
+        });
+    }
+
+    return { list, get, create, replace, remove };
+}
+
+export { PROFILE_SCHEMA, normalizeProfile, applyPricing, createPricingProfiles };
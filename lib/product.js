@@ -0,0 +1,151 @@
+// Product fetching: resolve the URL, fetch the page through the outbound
+// pool with retries and parse it (see lib/parse.js). Used by the API server,
+// the CLI and anything importing the package.
+import fetch from 'node-fetch';
+import { parseProductHtml } from './parse.js';
+import { resolveProductUrl } from './urls.js';
+import { DEFAULT_LOCALE, PAGE_CURRENCY, acceptLanguage, localizedUrl, regionCookies } from './region.js';
+import { ScrapeError, classifyBlockedPage, classifyFetchError } from './errors.js';
+import { createOutboundPool, createOutboundPoolFromEnv, withRetry } from './http.js';
+import { safeFetch } from './safe-fetch.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+
+// outboundPool: proxies and user agents (lib/http.js)
+// retry: withRetry options (retries, baseDelayMs, maxDelayMs)
+// timeoutMs: total for one product, from resolving a short link through every
+// attempt and backoff to the last body read
+// maxBytes: per response body (lib/safe-fetch.js)
+function createProductFetcher({ outboundPool = createOutboundPool(), timeoutMs = 30000, maxBytes = 10 * 1024 * 1024, retry = {}, fetchImpl = fetch } = {}) {
+    // One attempt at the product page; failures are thrown as ScrapeErrors
+    async function fetchProductPage(url, { shipTo, locale, attempt, signal }) {
+        const { agent, proxy, userAgent } = outboundPool.next();
+        if (proxy) logger.debug('Fetching via proxy', { attempt: attempt + 1, proxy: new URL(proxy).host });
+
+        let response;
+        let html;
+        try {
+            // Fetch the product page with proper headers
+            response = await safeFetch(url, {
+                headers: {
+                    'User-Agent': userAgent,
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+                    'Accept-Language': acceptLanguage(locale),
+                    'Connection': 'keep-alive',
+                    'Upgrade-Insecure-Requests': '1',
+                    'Sec-Fetch-Dest': 'document',
+                    'Sec-Fetch-Mode': 'navigate',
+                    'Sec-Fetch-Site': 'none',
+                    'Cache-Control': 'max-age=0',
+                    'Referer': 'https://www.aliexpress.com/',
+                    'Cookie': regionCookies({ shipTo, locale })
+                    // Note: Removed Accept-Encoding - node-fetch handles decompression automatically
+                },
+                agent
+            }, { fetchImpl, maxBytes, signal });
+            html = await response.text();
+        } catch (error) {
+            throw classifyFetchError(error);
+        }
+
+        metrics.upstreamResponses.inc({ status: response.status });
+        logger.info('Fetched product page', { status: response.status, url: response.url, htmlLength: html.length });
+        // Page previews are large; only at LOG_LEVEL=debug
+        if (logger.isLevelEnabled('debug')) {
+            logger.debug('Product page preview', { preview: html.substring(0, 500) });
+        }
+
+        const blocked = classifyBlockedPage(html, { status: response.status, finalUrl: response.url });
+        if (blocked) {
+            const retryAfter = parseInt(response.headers.get('retry-after'));
+            if (retryAfter > 0) blocked.retryAfter = retryAfter;
+            throw blocked;
+        }
+        if (response.status >= 500) {
+            throw new ScrapeError('UPSTREAM_ERROR', `HTTP error! status: ${response.status}`);
+        }
+        if (!response.ok && response.status !== 404 && response.status !== 410) {
+            throw new ScrapeError('UPSTREAM_ERROR', `HTTP error! status: ${response.status}`);
+        }
+
+        return { html, status: response.status };
+    }
+
+    // Fetch and parse AliExpress product data
+    // input: any product URL shape, short link or bare ID (see lib/urls.js)
+    // shipTo: country code the shipping options (and prices) should be quoted for
+    // locale: language for title, description and specs (see LOCALES in lib/region.js)
+    // Throws ScrapeError (see lib/errors.js) for blocked, removed or unparseable pages.
+    async function fetchAliExpressProduct(input, { shipTo = null, locale = null } = {}) {
+        // One deadline for the whole call, however many hops and attempts it takes
+        const deadline = AbortSignal.timeout(timeoutMs);
+        try {
+            const { agent, userAgent } = outboundPool.next();
+            const { id: productId, canonicalUrl: url } = await resolveProductUrl(input, { agent, userAgent, fetchImpl, signal: deadline });
+            // Other languages are served by the regional storefronts
+            const pageUrl = locale ? localizedUrl(url, locale) : url;
+
+            // Blocks, captchas, timeouts and 5xx are retried with backoff and jitter
+            const productData = await withRetry(async attempt => {
+                const { html, status } = await fetchProductPage(pageUrl, { shipTo, locale: locale || DEFAULT_LOCALE, attempt, signal: deadline });
+                return parseProductHtml(html, { url, currency: PAGE_CURRENCY, status });
+            }, {
+                ...retry,
+                signal: deadline,
+                onRetry: (error, retryNumber, delay) => logger.warn('Retrying product fetch', { url, code: error.code, retry: retryNumber, delayMs: delay })
+            });
+            productData.productId = productId;
+            productData.url = url;
+            productData.shipTo = shipTo;
+
+            // Log extracted data for debugging
+            logger.info('Extracted product', {
+                title: productData.title,
+                price: productData.salePrice,
+                images: productData.images.length,
+                rating: productData.rating,
+                reviews: productData.reviews,
+                variants: productData.variants.length,
+                shipping: productData.shipping.length,
+                sources: productData._meta.sources
+            });
+
+            return productData;
+        } catch (error) {
+            logger.error('Error fetching product', { input, error });
+            if (error instanceof ScrapeError) {
+                metrics.scrapeErrors.inc({ code: error.code });
+                throw error;
+            }
+            throw new Error(`Failed to fetch product: ${error.message}`);
+        }
+    }
+
+    return fetchAliExpressProduct;
+}
+
+// OUTBOUND_PROXIES/USER_AGENTS (see createOutboundPoolFromEnv), FETCH_TIMEOUT_MS,
+// FETCH_MAX_BYTES, FETCH_RETRIES, FETCH_RETRY_BASE_MS, FETCH_RETRY_MAX_MS
+function createProductFetcherFromEnv(env = process.env) {
+    return createProductFetcher({
+        outboundPool: createOutboundPoolFromEnv(env),
+        timeoutMs: parseInt(env.FETCH_TIMEOUT_MS || 30000),
+        maxBytes: parseInt(env.FETCH_MAX_BYTES || 10 * 1024 * 1024),
+        retry: {
+            retries: parseInt(env.FETCH_RETRIES || 2),
+            baseDelayMs: parseInt(env.FETCH_RETRY_BASE_MS || 1000),
+            maxDelayMs: parseInt(env.FETCH_RETRY_MAX_MS || 10000)
+        }
+    });
+}
+
+// Configured from the environment on first use, for callers that do not
+// need their own pool or retry policy
+let defaultFetcher = null;
+
+function fetchAliExpressProduct(input, options) {
+    defaultFetcher = defaultFetcher || createProductFetcherFromEnv();
+    return defaultFetcher(input, options);
+}
+
+export { createProductFetcher, createProductFetcherFromEnv, fetchAliExpressProduct };
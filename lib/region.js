@@ -0,0 +1,88 @@
+// Regional request settings
+// AliExpress decides ship-to country, currency and language from the
+// aep_usuc_f cookie (falling back to IP geolocation), so every page fetch
+// sends one built from the caller's preferences. Content language also
+// follows the regional storefront host (vi.aliexpress.com, fr.aliexpress.com).
+
+// Currency requested through the c_tp cookie; unlabelled page prices are in it
+const PAGE_CURRENCY = 'USD';
+
+// Languages AliExpress serves, with the storefront subdomain for each
+const LOCALES = {
+    en_US: 'www',
+    vi_VN: 'vi',
+    fr_FR: 'fr',
+    de_DE: 'de',
+    es_ES: 'es',
+    it_IT: 'it',
+    pt_BR: 'pt',
+    nl_NL: 'nl',
+    pl_PL: 'pl',
+    tr_TR: 'tr',
+    ja_JP: 'ja',
+    ko_KR: 'ko',
+    th_TH: 'th',
+    he_IL: 'he',
+    ar_MA: 'ar'
+};
+
+const DEFAULT_LOCALE = 'en_US';
+
+// ISO 3166-1 alpha-2 code, e.g. "US", "VN"
+function normalizeCountry(code) {
+    if (typeof code !== 'string' || !/^[A-Za-z]{2}$/.test(code.trim())) return null;
+    return code.trim().toUpperCase();
+}
+
+// "vi_VN", "vi-VN", "VI_vn" or a bare language ("vi") -> "vi_VN"; null if unsupported
+function normalizeLocale(input) {
+    if (typeof input !== 'string') return null;
+    const match = input.trim().match(/^([a-z]{2})(?:[_-]([a-z]{2}))?$/i);
+    if (!match) return null;
+    const language = match[1].toLowerCase();
+    if (match[2]) {
+        const locale = `${language}_${match[2].toUpperCase()}`;
+        return locale in LOCALES ? locale : null;
+    }
+    return Object.keys(LOCALES).find(locale => locale.startsWith(`${language}_`)) || null;
+}
+
+// Product page on the storefront that serves `locale`
+function localizedUrl(url, locale = DEFAULT_LOCALE) {
+    const localized = new URL(url);
+    localized.hostname = `${LOCALES[locale] || LOCALES[DEFAULT_LOCALE]}.aliexpress.com`;
+    return localized.toString();
+}
+
+// "vi-VN,vi;q=0.9,en;q=0.8"
+function acceptLanguage(locale = DEFAULT_LOCALE) {
+    const [language, country] = locale.split('_');
+    const preferred = `${language}-${country},${language};q=0.9`;
+    return language === 'en' ? preferred : `${preferred},en;q=0.8`;
+}
+
+// Language the page was actually served in: og:locale, <html lang> or the
+// locale recorded in the embedded page data. Null when the page doesn't say.
+function detectLocale(html) {
+    const candidates = [
+        html.match(/<meta[^>]+property=["']og:locale["'][^>]+content=["']([^"']+)["']/i)?.[1],
+        html.match(/<html[^>]+\blang=["']([^"']+)["']/i)?.[1],
+        html.match(/"(?:locale|lang|language)"\s*:\s*"([a-z]{2}(?:[_-][A-Za-z]{2})?)"/)?.[1]
+    ];
+    for (const candidate of candidates) {
+        const locale = normalizeLocale(candidate);
+        if (locale) return locale;
+    }
+    return null;
+}
+
+function regionCookies({ shipTo = null, locale = DEFAULT_LOCALE } = {}) {
+    const settings = new URLSearchParams({ site: 'glo', b_locale: locale, c_tp: PAGE_CURRENCY });
+    if (shipTo) settings.set('region', shipTo);
+
+    // AliExpress expects the settings unencoded inside the cookie value
+    const usucf = [...settings].map(([key, value]) => `${key}=${value}`).join('&');
+    return `aep_usuc_f=${usucf}; intl_locale=${settings.get('b_locale')}`;
+}
+
+export { PAGE_CURRENCY, LOCALES, DEFAULT_LOCALE, normalizeCountry, normalizeLocale, localizedUrl, acceptLanguage, detectLocale, regionCookies };
@@ -0,0 +1,133 @@
+// Product reviews (buyer feedback)
+// Feedback is served as JSON by feedback.aliexpress.com, one page at a time,
+// together with the star distribution for the whole product.
+import fetch from 'node-fetch';
+import { ScrapeError, classifyBlockedPage, classifyFetchError } from './errors.js';
+import { DEFAULT_USER_AGENT } from './http.js';
+import { safeFetch } from './safe-fetch.js';
+import { absoluteUrl } from './values.js';
+
+const FEEDBACK_ENDPOINT = 'https://feedback.aliexpress.com/pc/searchEvaluation.do';
+const STAR_KEYS = { 5: 'fiveStarNum', 4: 'fourStarNum', 3: 'threeStarNum', 2: 'twoStarNum', 1: 'oneStarNum' };
+
+// country: only reviews by buyers from this country, so the totals and
+// pages describe that set
+function buildReviewsUrl(productId, { page = 1, pageSize = 20, withPhotos = false, country = null } = {}) {
+    const params = new URLSearchParams({
+        productId,
+        lang: 'en_US',
+        page: String(page),
+        pageSize: String(pageSize),
+        filter: withPhotos ? 'image' : 'all',
+        sort: 'complex_default'
+    });
+    if (country) params.set('country', country);
+    return `${FEEDBACK_ENDPOINT}?${params}`;
+}
+
+// buyerEval is a 0-100 score in steps of 20
+function toStars(review) {
+    if (review.buyerEval !== undefined) return Math.round(Number(review.buyerEval) / 20);
+    return Number(review.star ?? review.rating ?? 0);
+}
+
+function parseReview(review) {
+    const photos = (review.images || review.imageList || review.buyerImages || [])
+        .map(image => absoluteUrl(typeof image === 'string' ? image : image.url || image.imgUrl))
+        .filter(Boolean);
+
+    return {
+        // evaluationId overflows a JS number; the string twin is exact
+        id: String(review.evaluationIdStr ?? review.evaluationId ?? review.id ?? ''),
+        stars: toStars(review),
+        text: review.buyerFeedback || review.content || '',
+        translatedText: review.buyerTranslationFeedback || null,
+        buyer: review.buyerName || null,
+        country: review.buyerCountry || review.countryCode || null,
+        date: review.evalDate || review.evaluationDate || null,
+        sku: review.skuInfo || null,
+        photos: [...new Set(photos)],
+        helpful: Number(review.upVoteCount ?? review.helpfulCount ?? 0)
+    };
+}
+
+function parseBreakdown(statistic = {}, reviews = []) {
+    const stars = {};
+    for (const [star, key] of Object.entries(STAR_KEYS)) {
+        stars[star] = Number(statistic[key] ?? reviews.filter(review => review.stars === Number(star)).length);
+    }
+    const total = Number(statistic.totalNum ?? Object.values(stars).reduce((sum, count) => sum + count, 0));
+    const percentages = {};
+    for (const star of Object.keys(stars)) {
+        percentages[star] = total ? Math.round((stars[star] / total) * 1000) / 10 : 0;
+    }
+
+    // evarageStar is AliExpress's own spelling
+    const average = Number(statistic.evarageStar ?? statistic.averageStar ?? 0) ||
+        (total ? Math.round((Object.entries(stars).reduce((sum, [star, count]) => sum + star * count, 0) / total) * 10) / 10 : 0);
+
+    return { average, total, stars, percentages };
+}
+
+// Parse one saved or fetched feedback response
+function parseReviewsResponse(json) {
+    const data = json?.data || json || {};
+    const list = data.evaViewList || data.evaluationList || [];
+    if (!Array.isArray(list)) {
+        throw new Error('Unexpected feedback response');
+    }
+
+    const reviews = list.map(parseReview);
+    return {
+        total: Number(data.totalNum ?? reviews.length),
+        totalPages: Number(data.totalPage ?? 1),
+        breakdown: parseBreakdown(data.productEvaluationStatistic, reviews),
+        reviews
+    };
+}
+
+// Filters the feedback endpoint has no parameter for (stars) are applied per
+// page; photos and country are also checked here for saved responses
+function filterReviews(reviews, { withPhotos = false, stars = null, country = null } = {}) {
+    return reviews.filter(review =>
+        (!withPhotos || review.photos.length > 0) &&
+        (!stars || stars.includes(review.stars)) &&
+        (!country || review.country === country)
+    );
+}
+
+// agent/userAgent: one identity from the outbound pool (lib/http.js).
+// Throws a ScrapeError for blocked pages, timeouts and upstream failures; a
+// blocked request gets an HTML challenge page instead of JSON.
+async function fetchReviews(productId, options = {}, { agent, userAgent = DEFAULT_USER_AGENT, timeoutMs = 30000, maxBytes, fetchImpl = fetch } = {}) {
+    let response;
+    let body;
+    try {
+        response = await safeFetch(buildReviewsUrl(productId, options), {
+            headers: {
+                'User-Agent': userAgent,
+                'Accept': 'application/json',
+                'Referer': `https://www.aliexpress.com/item/${productId}.html`
+            },
+            agent
+        }, { fetchImpl, timeoutMs, maxBytes });
+        body = await response.text();
+    } catch (error) {
+        throw classifyFetchError(error);
+    }
+
+    const blocked = classifyBlockedPage(body, { status: response.status, finalUrl: response.url });
+    if (blocked) throw blocked;
+    if (!response.ok) {
+        throw new ScrapeError('UPSTREAM_ERROR', `Reviews HTTP error! status: ${response.status}`);
+    }
+    let json;
+    try {
+        json = JSON.parse(body);
+    } catch (e) {
+        throw new ScrapeError('UPSTREAM_ERROR', 'The feedback endpoint did not return JSON', { cause: e });
+    }
+    return parseReviewsResponse(json);
+}
+
+export { buildReviewsUrl, parseReviewsResponse, filterReviews, fetchReviews };
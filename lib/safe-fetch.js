@@ -0,0 +1,162 @@
+// Outbound fetches restricted to AliExpress
+// Everything we fetch is derived from caller input or from scraped pages,
+// so every request is checked before it leaves: http(s) only, no
+// credentials or odd ports, and a host on the AliExpress allow-list. Redirects
+// are followed by hand so each hop gets the same check, hostnames must not
+// resolve to private or loopback addresses (checked in the socket lookup, so
+// the address we vet is the one we connect to), and the response size and
+// total time are capped. Rejections are ScrapeErrors with their own codes.
+// Behind an outbound proxy (lib/http.js) the proxy resolves the hostname;
+// the allow-list still applies.
+import fetch from 'node-fetch';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { ScrapeError, classifyFetchError } from './errors.js';
+
+// Storefronts, regional sites and the image/description CDNs
+const ALLOWED_DOMAINS = ['aliexpress.com', 'aliexpress.us', 'aliexpress.ru', 'alicdn.com', 'aliexpress-media.com'];
+
+const MAX_REDIRECTS = 5;
+const MAX_BYTES = 10 * 1024 * 1024;
+const TIMEOUT_MS = 30000;
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isAllowedHost(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return ALLOWED_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// The parsed URL, or an INVALID_URL ScrapeError saying what is wrong with it
+function checkUrl(input, base) {
+    let url;
+    try {
+        url = new URL(input, base);
+    } catch (e) {
+        return new ScrapeError('INVALID_URL', `Not a valid URL: ${input}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return new ScrapeError('INVALID_URL', `Unsupported protocol: ${url.protocol}`);
+    if (url.username || url.password) return new ScrapeError('INVALID_URL', 'URLs with credentials are not allowed');
+    if (url.port) return new ScrapeError('INVALID_URL', `Port ${url.port} is not allowed`);
+    if (!isAllowedHost(url.hostname)) return new ScrapeError('INVALID_URL', `Host ${url.hostname} is not an AliExpress host`);
+    return url;
+}
+
+function assertAllowedUrl(input) {
+    const url = checkUrl(input);
+    if (url instanceof ScrapeError) throw url;
+    return url;
+}
+
+// The next hop of a redirect, resolved against the URL that redirected
+function assertAllowedRedirect(location, from) {
+    const url = checkUrl(location, from);
+    if (url instanceof ScrapeError) {
+        throw new ScrapeError('REDIRECT_NOT_ALLOWED', `${new URL(from).host} redirected to a disallowed URL: ${url.message}`);
+    }
+    return url;
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) return PRIVATE_RANGES.check(address, 'ipv4');
+    if (family !== 6) return true;
+    // IPv4-mapped (::ffff:10.0.0.1) and NAT64 (64:ff9b::10.0.0.1) addresses
+    const embedded = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i);
+    return embedded ? PRIVATE_RANGES.check(embedded[1], 'ipv4') : PRIVATE_RANGES.check(address, 'ipv6');
+}
+
+// A dns.lookup replacement for http(s).Agent that fails when any address
+// of the host is private
+function createSafeLookup(lookup = dns.lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) {
+                return callback(new ScrapeError('ADDRESS_NOT_ALLOWED', `${hostname} resolves to a private address (${blocked.address})`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+const safeLookup = createSafeLookup();
+const agents = {
+    'http:': new http.Agent({ lookup: safeLookup }),
+    'https:': new https.Agent({ lookup: safeLookup })
+};
+
+// node-fetch wraps the lookup failure in a FetchError that copies its code
+function toScrapeError(error) {
+    if (error.code === 'ADDRESS_NOT_ALLOWED') {
+        return new ScrapeError('ADDRESS_NOT_ALLOWED', error.message.replace(/^request to \S+ failed, reason: /, ''));
+    }
+    return classifyFetchError(error);
+}
+
+// Drop-in for fetch(url, options). agent: the outbound proxy, if any; direct
+// connections get the private-address check. maxBytes caps the body, which
+// is read through the returned response's text(), json() or arrayBuffer();
+// timeoutMs covers every hop and the body; signal replaces it with the
+// caller's own deadline, for callers that make several requests under one
+// cap. With options.redirect 'manual' redirects are returned to the caller,
+// who checks them with assertAllowedRedirect.
+async function safeFetch(input, options = {}, { fetchImpl = fetch, maxRedirects = MAX_REDIRECTS, maxBytes = MAX_BYTES, timeoutMs = TIMEOUT_MS, signal = AbortSignal.timeout(timeoutMs) } = {}) {
+    let url = assertAllowedUrl(input);
+
+    for (let hop = 0; ; hop++) {
+        let response;
+        try {
+            response = await fetchImpl(url.href, {
+                ...options,
+                redirect: 'manual',
+                agent: options.agent || (target => agents[target.protocol]),
+                size: maxBytes,
+                signal
+            });
+        } catch (error) {
+            throw toScrapeError(error);
+        }
+
+        const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+        if (location && options.redirect !== 'manual') {
+            if (hop >= maxRedirects) throw new ScrapeError('TOO_MANY_REDIRECTS', `Gave up after ${maxRedirects} redirects`);
+            url = assertAllowedRedirect(location, url);
+            continue;
+        }
+
+        // Body reads fail like the request: over maxBytes, timed out, reset
+        const read = method => async () => {
+            try {
+                return await response[method]();
+            } catch (error) {
+                throw error instanceof SyntaxError ? error : toScrapeError(error);
+            }
+        };
+        return {
+            ok: response.ok,
+            status: response.status,
+            url: response.url || url.href,
+            headers: response.headers,
+            text: read('text'),
+            json: read('json'),
+            arrayBuffer: read('arrayBuffer')
+        };
+    }
+}
+
+export { ALLOWED_DOMAINS, isAllowedHost, assertAllowedUrl, assertAllowedRedirect, isPrivateAddress, createSafeLookup, safeFetch };
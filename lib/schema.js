@@ -0,0 +1,109 @@
+// Minimal JSON Schema validation
+// Covers the keywords used by the OpenAPI document in lib/openapi.js: type
+// (including nullable type lists), enum, properties, required,
+// additionalProperties, items, minItems/maxItems, minLength/maxLength,
+// pattern, minimum/maximum, anyOf and local $refs ("#/components/schemas/Product").
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+    const target = ref.slice(2).split('/').reduce((node, part) => node?.[part], root);
+    if (!target) throw new Error(`Unresolvable $ref: ${ref}`);
+    return target;
+}
+
+function describeType(type) {
+    return Array.isArray(type) ? type.join(' or ') : type;
+}
+
+// Returns a list of { path, message }; empty when the value is valid.
+// root: the document local $refs resolve against (defaults to the schema).
+function validate(schema, value, { root = schema, path = '' } = {}) {
+    if (schema.$ref) return validate(resolveRef(schema.$ref, root), value, { root, path });
+
+    const at = path || '(root)';
+    if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => validate(branch, value, { root, path }));
+        const valid = branches.find(errors => errors.length === 0);
+        // Report the branch that got furthest: the one with the fewest errors
+        if (!valid) return branches.reduce((best, errors) => (errors.length < best.length ? errors : best));
+    }
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [{ path: at, message: `must be ${describeType(schema.type)}` }];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path: at, message: `must be one of: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` }];
+    }
+
+    const errors = [];
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path: at, message: `must match ${schema.pattern}` });
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must contain at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: at, message: `must contain at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(schema.items, item, { root, path: `${path}[${index}]` }));
+            });
+        }
+    }
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!(name in value)) errors.push({ path: path ? `${path}.${name}` : name, message: 'is required' });
+        }
+        for (const [name, item] of Object.entries(value)) {
+            const itemPath = path ? `${path}.${name}` : name;
+            if (properties[name]) {
+                errors.push(...validate(properties[name], item, { root, path: itemPath }));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: itemPath, message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, item, { root, path: itemPath }));
+            }
+        }
+    }
+    return errors;
+}
+
+// "salePrice.amount must be number; url is required"
+function formatErrors(errors) {
+    return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+export { validate, formatErrors };
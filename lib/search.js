@@ -0,0 +1,117 @@
+// Keyword and category search
+// Result pages are listing pages (see lib/listings.js); on top of the common
+// listing fields every result carries its star rating and a free-shipping flag.
+import fetch from 'node-fetch';
+import { listCard, listItem, parseListingPage } from './listings.js';
+import { ScrapeError, classifyBlockedPage, classifyFetchError } from './errors.js';
+import { DEFAULT_USER_AGENT } from './http.js';
+import { safeFetch } from './safe-fetch.js';
+
+// Our sort names -> AliExpress sortType
+const SORT_TYPES = {
+    'best-match': null,
+    orders: 'total_tranpro_desc',
+    'price-asc': 'price_asc',
+    'price-desc': 'price_desc',
+    newest: 'create_desc'
+};
+
+// AliExpress stops serving results after this page
+const SEARCH_MAX_PAGE = 60;
+
+const CATEGORY_ID_PATTERN = /^\d{1,12}$/;
+
+function keywordSlug(q) {
+    return q.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'products';
+}
+
+// q and/or category (a numeric category ID) are required
+function buildSearchUrl({ q = null, category = null, page = 1, sort = 'best-match', minPrice = null, maxPrice = null } = {}) {
+    if (!q && !category) throw new Error('A keyword or a category is required');
+    if (category && !CATEGORY_ID_PATTERN.test(String(category))) throw new Error(`Invalid category ID: ${category}`);
+
+    const url = q
+        ? new URL(`https://www.aliexpress.com/w/wholesale-${encodeURIComponent(keywordSlug(q))}.html`)
+        : new URL(`https://www.aliexpress.com/category/${category}/products.html`);
+    if (q) url.searchParams.set('SearchText', q.trim());
+    if (q && category) url.searchParams.set('catId', String(category));
+    if (page > 1) url.searchParams.set('page', String(page));
+    if (SORT_TYPES[sort]) url.searchParams.set('sortType', SORT_TYPES[sort]);
+    if (minPrice !== null) url.searchParams.set('minPrice', String(minPrice));
+    if (maxPrice !== null) url.searchParams.set('maxPrice', String(maxPrice));
+    return url.toString();
+}
+
+function toRating(value) {
+    const rating = parseFloat(value);
+    return Number.isFinite(rating) && rating > 0 && rating <= 5 ? rating : null;
+}
+
+// Free shipping is a flag on some layouts and a selling-point tag on others
+function hasFreeShipping(item) {
+    const labels = [
+        item.logisticsDesc,
+        item.logistics?.logisticsDesc,
+        ...(item.sellingPoints || []).map(point => point.tagContent?.tagText ?? point.tagText)
+    ];
+    return Boolean(item.freeShipping) || labels.some(label => /free\s+shipping/i.test(label || ''));
+}
+
+function searchItem(item) {
+    return {
+        ...listItem(item),
+        rating: toRating(item.evaluation?.starRating ?? item.starRating ?? item.averageStar),
+        freeShipping: hasFreeShipping(item)
+    };
+}
+
+function searchCard(card, link, id) {
+    const ratingText = card.querySelector('.rating-value, [class*="star-score"], [class*="evaluation"]')?.textContent;
+    return {
+        ...listCard(card, link, id),
+        rating: toRating(ratingText),
+        freeShipping: /free\s+shipping/i.test(card.textContent)
+    };
+}
+
+// Parse one saved or fetched search/category result page. Sponsored results
+// repeat organic ones, so results are deduplicated by product ID.
+function parseSearchResults(html) {
+    const page = parseListingPage(html, { mapItem: searchItem, mapCard: searchCard });
+    const seen = new Set();
+    return {
+        ...page,
+        products: page.products.filter(product => !seen.has(product.id) && seen.add(product.id))
+    };
+}
+
+// Throws a ScrapeError for blocked pages, timeouts and upstream failures
+async function fetchSearchResults(params, { cookie = null, agent, userAgent = DEFAULT_USER_AGENT, timeoutMs = 30000, maxBytes, fetchImpl = fetch } = {}) {
+    const url = buildSearchUrl(params);
+    let response;
+    let html;
+    try {
+        response = await safeFetch(url, {
+            headers: {
+                'User-Agent': userAgent,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.9',
+                'Referer': 'https://www.aliexpress.com/',
+                ...(cookie ? { 'Cookie': cookie } : {})
+            },
+            agent
+        }, { fetchImpl, timeoutMs, maxBytes });
+        html = await response.text();
+    } catch (error) {
+        throw classifyFetchError(error);
+    }
+
+    const blocked = classifyBlockedPage(html, { status: response.status, finalUrl: response.url });
+    if (blocked) throw blocked;
+    if (!response.ok) {
+        throw new ScrapeError('UPSTREAM_ERROR', `Search HTTP error! status: ${response.status}`);
+    }
+    return { sourceUrl: url, page: params.page || 1, ...parseSearchResults(html) };
+}
+
+export { SORT_TYPES, SEARCH_MAX_PAGE, CATEGORY_ID_PATTERN, buildSearchUrl, parseSearchResults, fetchSearchResults };
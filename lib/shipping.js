@@ -0,0 +1,94 @@
+// Shipping/logistics extraction
+// Newer pages keep delivery options under *FreightCalculateComponent or
+// shippingComponent as originalLayoutResultList[].bizData; older runParams
+// pages carry shippingModule.freightCalculateInfo / freightResult lists.
+import { toMoney } from './money.js';
+
+const SHIPPING_CONTAINER_KEYS = [
+    'webGeneralFreightCalculateComponent',
+    'generalFreightCalculateComponent',
+    'shippingComponent',
+    'shippingModule',
+    'logisticsComponent'
+];
+
+function toInteger(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? Math.round(number) : null;
+}
+
+// "15-30" style ranges used by the legacy freight list
+function parseDayRange(text) {
+    const match = String(text || '').match(/(\d+)\s*-\s*(\d+)/);
+    return match ? { min: parseInt(match[1]), max: parseInt(match[2]) } : null;
+}
+
+function shippingContainers(source) {
+    if (!source || typeof source !== 'object') return [];
+    const roots = [source, source.data].filter(root => root && typeof root === 'object');
+    const containers = [];
+    for (const root of roots) {
+        for (const key of SHIPPING_CONTAINER_KEYS) {
+            const container = root[key];
+            if (!container || typeof container !== 'object') continue;
+            containers.push(container, container.generalFreightInfo, container.freightCalculateInfo);
+        }
+    }
+    return containers.filter(Boolean);
+}
+
+// cost is null when the page does not state an amount for a paid option;
+// reporting 0 would pass it off as free shipping
+function fromBizData(bizData) {
+    const currency = bizData.currency || bizData.displayCurrency || null;
+    const cost = toMoney(bizData.displayAmount ?? bizData.freightAmount ?? bizData.shippingFee, currency);
+    const free = bizData.shippingFee === 'free' || cost?.amount === 0;
+    const min = toInteger(bizData.deliveryDayMin ?? bizData.guaranteedDeliveryTime);
+    const max = toInteger(bizData.deliveryDayMax ?? bizData.deliveryDayMin);
+    return {
+        carrier: bizData.deliveryProviderName || bizData.company || bizData.serviceName || '',
+        carrierCode: bizData.deliveryProviderCode || bizData.serviceName || null,
+        cost: free ? { amount: 0, currency } : cost,
+        free,
+        deliveryDays: min !== null || max !== null ? { min: min ?? max, max: max ?? min } : null,
+        estimatedDelivery: bizData.deliveryDate || bizData.deliveryDateDisplay || null,
+        shipsFrom: bizData.shipFrom || bizData.shipFromCode || null,
+        tracking: bizData.tracking ?? bizData.trackingAvailable ?? null
+    };
+}
+
+function fromLegacyFreight(freight) {
+    const cost = toMoney(freight.freightAmount ?? freight.standardFreightAmount);
+    const free = cost?.amount === 0 || freight.isFreeShipping === true;
+    return {
+        carrier: freight.company || freight.serviceName || '',
+        carrierCode: freight.serviceName || null,
+        cost: free ? { amount: 0, currency: cost?.currency ?? null } : cost,
+        free,
+        deliveryDays: parseDayRange(freight.time) || (freight.commitDay ? { min: null, max: toInteger(freight.commitDay) } : null),
+        estimatedDelivery: freight.deliveryDate || null,
+        shipsFrom: freight.sendGoodsCountry || freight.sendGoodsCountryFullName || null,
+        tracking: freight.tracking ?? null
+    };
+}
+
+// Return the delivery options from the first source that lists any
+function extractShipping(...sources) {
+    for (const source of sources) {
+        for (const container of shippingContainers(source)) {
+            if (Array.isArray(container.originalLayoutResultList) && container.originalLayoutResultList.length > 0) {
+                return container.originalLayoutResultList
+                    .map(entry => entry.bizData || entry)
+                    .filter(bizData => bizData && !bizData.unreachable)
+                    .map(fromBizData);
+            }
+            const legacy = container.freightResult || container.freightResultList || (container.freight ? [container.freight] : null);
+            if (Array.isArray(legacy) && legacy.length > 0) {
+                return legacy.map(fromLegacyFreight);
+            }
+        }
+    }
+    return [];
+}
+
+export { extractShipping };
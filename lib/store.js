@@ -0,0 +1,124 @@
+// Seller/store information
+// Product pages describe the seller in runParams storeModule (older pages) or
+// in sellerComponent / storeHeaderComponent / shopInfoComponent (newer ones).
+// The store catalogue itself lives on the store's own search pages (see lib/listings.js).
+import fetch from 'node-fetch';
+import { ScrapeError, classifyBlockedPage, classifyFetchError } from './errors.js';
+import { DEFAULT_USER_AGENT } from './http.js';
+import { safeFetch } from './safe-fetch.js';
+import { parseListingPage, toCount } from './listings.js';
+import { absoluteUrl, toNumber } from './values.js';
+
+const STORE_CONTAINER_KEYS = ['storeModule', 'sellerComponent', 'storeHeaderComponent', 'shopInfoComponent', 'storeInfoComponent'];
+
+const STORE_ID_PATTERN = /^\d{4,15}$/;
+
+function canonicalStoreUrl(storeId) {
+    return `https://www.aliexpress.com/store/${storeId}`;
+}
+
+function yearsSince(openTime, now) {
+    const opened = Date.parse(openTime);
+    if (!Number.isFinite(opened)) return null;
+    return Math.max(0, Math.floor((now - opened) / (365.25 * 24 * 60 * 60 * 1000)));
+}
+
+function storeContainers(source) {
+    if (!source || typeof source !== 'object') return [];
+    const roots = [source, source.data].filter(root => root && typeof root === 'object');
+    const containers = [];
+    for (const root of roots) {
+        for (const key of STORE_CONTAINER_KEYS) {
+            const container = root[key];
+            if (!container || typeof container !== 'object') continue;
+            containers.push(container.storeHeaderResult, container.sellerInfo, container);
+        }
+    }
+    return containers.filter(Boolean);
+}
+
+function fromContainer(container, now) {
+    const id = container.storeNum ?? container.storeId ?? container.shopId ?? null;
+    if (!id && !container.storeName) return null;
+
+    const tags = (container.storeTags || container.tags || []).map(tag => String(tag.tagName ?? tag.name ?? tag).toLowerCase());
+    const openTime = container.openTime || container.openDate || null;
+    const url = container.storeURL || container.storeUrl || container.shopUrl || null;
+
+    return {
+        id: id !== null ? String(id) : null,
+        name: container.storeName || container.shopName || '',
+        url: absoluteUrl(url) ?? (id ? canonicalStoreUrl(id) : null),
+        positiveFeedbackPercent: toNumber(container.positiveRate ?? container.sellerPositiveRate ?? container.positiveFeedbackRate),
+        followers: toCount(container.followingNumber ?? container.followers ?? container.followerCount),
+        yearsOpen: toNumber(container.openedYear ?? container.openYear) ?? (openTime ? yearsSince(openTime, now) : null),
+        openedAt: openTime,
+        country: container.countryCompleteName || container.country || null,
+        topBrand: Boolean(container.topBrand || container.isTopBrand || tags.includes('top brand')),
+        topRatedSeller: Boolean(container.topRatedSeller || container.isTopRatedSeller || tags.includes('top rated seller')),
+        choice: Boolean(container.choiceStore || container.isChoice || tags.includes('choice'))
+    };
+}
+
+// Return the store described by the first source that has one
+function extractStore(...sources) {
+    const now = Date.now();
+    for (const source of sources) {
+        for (const container of storeContainers(source)) {
+            const store = fromContainer(container, now);
+            if (store) return store;
+        }
+    }
+    return null;
+}
+
+// Accepts a bare store ID or any store URL
+function extractStoreId(input) {
+    if (input === null || input === undefined) return null;
+    const trimmed = String(input).trim();
+    if (STORE_ID_PATTERN.test(trimmed)) return trimmed;
+
+    const match = trimmed.match(/\/store\/(?:[^\/?#]*\/)*?(\d{4,15})(?:[\/?#.]|$)/) || trimmed.match(/[?&]storeId=(\d{4,15})/);
+    return match ? match[1] : null;
+}
+
+function storeSearchUrl(storeId, page = 1) {
+    return `https://www.aliexpress.com/store/${storeId}/search/${page}.html`;
+}
+
+// Parse one page of a store's catalogue (saved or fetched)
+function parseStoreProducts(html) {
+    return parseListingPage(html);
+}
+
+// agent/userAgent: one identity from the outbound pool (lib/http.js).
+// Throws a ScrapeError for blocked pages, timeouts and upstream failures, so a
+// captcha is never mistaken for an empty catalogue.
+async function fetchStoreProducts(storeId, { page = 1, cookie = null, agent, userAgent = DEFAULT_USER_AGENT, timeoutMs = 30000, maxBytes, fetchImpl = fetch } = {}) {
+    const url = storeSearchUrl(storeId, page);
+    let response;
+    let html;
+    try {
+        response = await safeFetch(url, {
+            headers: {
+                'User-Agent': userAgent,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.9',
+                ...(cookie ? { 'Cookie': cookie } : {})
+            },
+            agent
+        }, { fetchImpl, timeoutMs, maxBytes });
+        html = await response.text();
+    } catch (error) {
+        throw classifyFetchError(error);
+    }
+
+    const blocked = classifyBlockedPage(html, { status: response.status, finalUrl: response.url });
+    if (blocked) throw blocked;
+    if (!response.ok) {
+        throw new ScrapeError('UPSTREAM_ERROR', `Store HTTP error! status: ${response.status}`);
+    }
+    return { storeId, page, sourceUrl: url, ...parseStoreProducts(html) };
+}
+
+export { extractStore, extractStoreId, canonicalStoreUrl, parseStoreProducts, fetchStoreProducts };
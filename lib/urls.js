@@ -0,0 +1,161 @@
+// AliExpress URL helpers
+// Product references come in many shapes: regional and mobile hosts,
+// affiliate/short links that only reveal the product after redirects, and
+// bare numeric IDs. Everything is mapped to one canonical www URL.
+import fetch from 'node-fetch';
+import { assertAllowedRedirect, safeFetch } from './safe-fetch.js';
+import { DEFAULT_USER_AGENT } from './http.js';
+
+const CANONICAL_ORIGIN = 'https://www.aliexpress.com';
+
+// Registrable domains we accept, including regional storefronts
+const ALIEXPRESS_DOMAINS = ['aliexpress.com', 'aliexpress.us', 'aliexpress.ru'];
+
+// Hosts whose links must be followed to find the product
+const SHORT_LINK_HOSTS = ['s.click.aliexpress.com', 'a.aliexpress.com', 'click.aliexpress.com', 'star.aliexpress.com'];
+
+const PRODUCT_ID_PATTERN = /^\d{6,20}$/;
+const MAX_REDIRECTS = 5;
+// Cap on resolving one short link, all hops together
+const SHORT_LINK_TIMEOUT_MS = 30000;
+
+function parseUrl(input) {
+    if (typeof input !== 'string') return null;
+    const trimmed = input.trim();
+    try {
+        return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch (e) {
+        return null;
+    }
+}
+
+function isAliExpressHost(hostname) {
+    const host = hostname.toLowerCase();
+    return ALIEXPRESS_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+function canonicalProductUrl(id) {
+    return `${CANONICAL_ORIGIN}/item/${id}.html`;
+}
+
+// Helper function to extract product ID from URL (or a bare numeric ID)
+function extractProductId(url) {
+    if (!url) return null;
+    if (PRODUCT_ID_PATTERN.test(String(url).trim())) return String(url).trim();
+
+    const parsed = parseUrl(url);
+    const cleanUrl = parsed ? parsed.pathname : String(url).split('?')[0]; // Remove query parameters
+
+    // Pattern 1: /item/product-name-1234567890.html or /item/1234567890.html
+    const match1 = cleanUrl.match(/\/item\/[^\/]*?(\d+)\.html/);
+    if (match1) return match1[1];
+
+    // Pattern 2: Direct number before .html (also mobile /i/1234567890.html)
+    const match2 = cleanUrl.match(/\/(\d+)\.html/);
+    if (match2) return match2[1];
+
+    // Pattern 3: Store product format, /store/product/Name/<storeId>_<id>.html
+    const match3 = cleanUrl.match(/\/store\/product\/(?:[^\/]*\/)?(?:\d+_)?(\d+)\.html/);
+    if (match3) return match3[1];
+
+    // Pattern 4: Deep links carrying the ID or the target URL as a parameter
+    if (parsed) {
+        for (const key of ['productId', 'itemId', 'item_id']) {
+            const value = parsed.searchParams.get(key);
+            if (value && PRODUCT_ID_PATTERN.test(value)) return value;
+        }
+        const redirectUrl = parsed.searchParams.get('redirectUrl');
+        if (redirectUrl) return extractProductId(redirectUrl);
+    }
+
+    return null;
+}
+
+// Classify a product reference without touching the network.
+// Returns { id, canonicalUrl }, { shortLink } when redirects must be
+// followed first, or null when it is not an AliExpress product reference.
+function parseProductReference(input) {
+    if (typeof input !== 'string' || !input.trim()) return null;
+    const trimmed = input.trim();
+
+    if (PRODUCT_ID_PATTERN.test(trimmed)) {
+        return { id: trimmed, canonicalUrl: canonicalProductUrl(trimmed) };
+    }
+
+    const url = parseUrl(trimmed);
+    if (!url || !['http:', 'https:'].includes(url.protocol) || !isAliExpressHost(url.hostname)) return null;
+    if (url.username || url.password || url.port) return null;
+
+    const id = extractProductId(url.href);
+    if (id) return { id, canonicalUrl: canonicalProductUrl(id) };
+
+    if (SHORT_LINK_HOSTS.includes(url.hostname.toLowerCase())) return { shortLink: url.href };
+    return null;
+}
+
+// Check that input is something we can turn into a product
+function isAliExpressProductUrl(input) {
+    return parseProductReference(input) !== null;
+}
+
+// Follow a short/affiliate link hop by hop until a product URL shows up.
+// Some links land on an HTML page that only references the product, so the
+// last page body is searched as well. signal bounds the whole chain.
+async function followShortLink(shortLink, { agent, userAgent = DEFAULT_USER_AGENT, fetchImpl, signal = AbortSignal.timeout(SHORT_LINK_TIMEOUT_MS) }) {
+    let current = shortLink;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const response = await safeFetch(current, {
+            redirect: 'manual',
+            headers: { 'User-Agent': userAgent },
+            agent
+        }, { fetchImpl, signal });
+        const location = response.headers.get('location');
+
+        if (response.status >= 300 && response.status < 400 && location) {
+            current = assertAllowedRedirect(location, current).href;
+            const reference = parseProductReference(current);
+            if (reference?.id) return reference;
+            continue;
+        }
+
+        const body = await response.text();
+        const match = body.match(/aliexpress\.[a-z]+\/item\/(?:[^"'\s]*?)(\d{6,20})\.html/i);
+        if (match) return { id: match[1], canonicalUrl: canonicalProductUrl(match[1]) };
+        break;
+    }
+    throw new Error('Could not resolve short link to a product');
+}
+
+const resolvedShortLinks = new Map();
+
+// Resolve any product reference to { id, canonicalUrl }; throws if the input
+// is not an AliExpress product or a short link leads nowhere. signal: the
+// caller's deadline for following a short link; agent/userAgent: the outbound
+// identity to follow it with (lib/http.js).
+async function resolveProductUrl(input, { agent, userAgent, fetchImpl = fetch, signal } = {}) {
+    const reference = parseProductReference(input);
+    if (!reference) {
+        throw new Error('Not an AliExpress product URL or ID');
+    }
+    if (reference.id) return reference;
+
+    if (resolvedShortLinks.has(reference.shortLink)) {
+        return resolvedShortLinks.get(reference.shortLink);
+    }
+    const resolved = await followShortLink(reference.shortLink, { agent, userAgent, fetchImpl, signal });
+    resolvedShortLinks.set(reference.shortLink, resolved);
+    if (resolvedShortLinks.size > 1000) {
+        resolvedShortLinks.delete(resolvedShortLinks.keys().next().value);
+    }
+    return resolved;
+}
+
+export {
+    CANONICAL_ORIGIN,
+    extractProductId,
+    isAliExpressProductUrl,
+    isAliExpressHost,
+    parseProductReference,
+    resolveProductUrl,
+    canonicalProductUrl
+};
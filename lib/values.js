@@ -0,0 +1,24 @@
+// Coercion helpers shared by the page parsers and the normalizer
+
+// Numbers from page data: "1,234", "97.5%", 12 -> number; anything
+// unparseable -> null
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const number = parseFloat(value.replace(/[,%\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+// Protocol-relative ("//ae01.alicdn.com/...") and relative links resolved
+// against baseUrl; null for missing or unparseable input
+function absoluteUrl(src, baseUrl = 'https://www.aliexpress.com/') {
+    if (!src || typeof src !== 'string') return null;
+    try {
+        return new URL(src.startsWith('//') ? 'https:' + src : src, baseUrl).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+export { toNumber, absoluteUrl };
@@ -0,0 +1,120 @@
+// SKU variant extraction
+// AliExpress ships the option definitions (productSKUPropertyList) and the
+// per-SKU prices/stock (skuPriceList) in separate components, and the container
+// names differ between the runParams and DCData page formats.
+import { toMoney } from './money.js';
+import { absoluteUrl, toNumber } from './values.js';
+
+const SKU_CONTAINER_KEYS = ['skuModule', 'skuComponent', 'priceComponent', 'priceModule', 'skuInfoComponent'];
+
+// Collect every object that may hold SKU data, in lookup order
+function skuContainers(source) {
+    if (!source || typeof source !== 'object') return [];
+    const roots = [source];
+    if (source.data && typeof source.data === 'object') roots.push(source.data);
+
+    const containers = [];
+    for (const root of roots) {
+        containers.push(root);
+        for (const key of SKU_CONTAINER_KEYS) {
+            if (root[key] && typeof root[key] === 'object') containers.push(root[key]);
+        }
+    }
+    return containers;
+}
+
+// Parse "14:193#Black;5:100014064#M" into [{ propertyId, valueId, alias }]
+function parseSkuAttr(skuAttr) {
+    if (!skuAttr || typeof skuAttr !== 'string') return [];
+    return skuAttr.split(';').map(part => {
+        const [ids, alias] = part.split('#');
+        const [propertyId, valueId] = ids.split(':');
+        return { propertyId: String(propertyId), valueId: String(valueId), alias: alias || null };
+    }).filter(pair => pair.propertyId && pair.valueId);
+}
+
+// Build the option definitions from productSKUPropertyList
+function buildOptions(propertyList) {
+    return propertyList.map((property, index) => ({
+        id: String(property.skuPropertyId ?? index),
+        name: property.skuPropertyName || property.name || `Option ${index + 1}`,
+        values: (property.skuPropertyValues || property.values || []).map(value => ({
+            id: String(value.propertyValueId ?? value.propertyValueIdLong ?? value.id),
+            name: value.propertyValueDisplayName || value.propertyValueName || value.skuPropertyValueTips || value.name || '',
+            image: absoluteUrl(value.skuPropertyImagePath || value.skuPropertyImageSummPath || null)
+        }))
+    }));
+}
+
+// Resolve the [propertyId, valueId] pairs a SKU is made of
+function skuSelections(sku, options) {
+    const fromAttr = parseSkuAttr(sku.skuAttr);
+    if (fromAttr.length > 0) return fromAttr;
+
+    // skuPropIds lists value IDs in the same order as the property list
+    const valueIds = String(sku.skuPropIds || '').split(',').filter(Boolean);
+    return valueIds.map((valueId, index) => {
+        const option = options[index];
+        return option ? { propertyId: option.id, valueId: String(valueId), alias: null } : null;
+    }).filter(Boolean);
+}
+
+function buildVariant(sku, options) {
+    const skuVal = sku.skuVal || sku;
+    const optionValues = {};
+    const optionValueIds = [];
+    let image = null;
+
+    for (const selection of skuSelections(sku, options)) {
+        const option = options.find(opt => opt.id === selection.propertyId);
+        const value = option?.values.find(val => val.id === selection.valueId);
+        if (!option) continue;
+        optionValues[option.name] = selection.alias || value?.name || selection.valueId;
+        optionValueIds.push(`${selection.propertyId}:${selection.valueId}`);
+        if (!image && value?.image) image = value.image;
+    }
+
+    const currency = skuVal.skuAmount?.currency || skuVal.skuActivityAmount?.currency || null;
+    const originalPrice = toMoney(skuVal.skuAmount, currency) ?? toMoney(skuVal.skuCalPrice, currency) ?? toMoney(skuVal.skuMultiCurrencyCalPrice, currency);
+    const salePrice = toMoney(skuVal.skuActivityAmount, currency) ?? toMoney(skuVal.actSkuCalPrice, currency) ?? toMoney(skuVal.actSkuMultiCurrencyCalPrice, currency) ?? originalPrice;
+    const stock = toNumber(skuVal.availQuantity ?? skuVal.inventory);
+
+    return {
+        skuId: String(sku.skuIdStr || sku.skuId || ''),
+        optionValues,
+        optionValueIds,
+        // null when the SKU has no price of its own; lib/parse.js falls back
+        // to the product's prices
+        salePrice,
+        originalPrice: originalPrice ?? salePrice,
+        // null when the page does not say how many are left
+        stock,
+        available: stock === null ? true : stock > 0,
+        image
+    };
+}
+
+// Extract { options, variants } from the first source that carries SKU data.
+// Sources are parsed page objects (runParams, DCData), checked in order.
+function extractVariants(...sources) {
+    let propertyList = null;
+    let priceList = null;
+
+    for (const source of sources) {
+        for (const container of skuContainers(source)) {
+            if (!propertyList && Array.isArray(container.productSKUPropertyList)) {
+                propertyList = container.productSKUPropertyList;
+            }
+            if (!priceList && Array.isArray(container.skuPriceList)) {
+                priceList = container.skuPriceList;
+            }
+        }
+        if (propertyList && priceList) break;
+    }
+
+    const options = propertyList ? buildOptions(propertyList) : [];
+    const variants = priceList ? priceList.map(sku => buildVariant(sku, options)) : [];
+    return { options, variants };
+}
+
+export { extractVariants };
@@ -0,0 +1,205 @@
+// Price and availability watchlist
+// Registered products are refetched on a schedule; every check appends a
+// snapshot to the product's history and changes past the configured
+// thresholds are announced through webhooks.
+import { extractProductId } from './urls.js';
+import { logger } from './logger.js';
+
+function snapshotOf(product, checkedAt) {
+    const variants = product.variants || [];
+    const counted = variants.filter(variant => typeof variant.stock === 'number');
+    return {
+        checkedAt,
+        salePrice: product.salePrice?.amount || 0,
+        originalPrice: product.originalPrice?.amount || 0,
+        currency: product.salePrice?.currency || null,
+        // Stock is only known when the page lists SKUs with quantities
+        stock: counted.length ? counted.reduce((sum, variant) => sum + variant.stock, 0) : null,
+        available: variants.length ? variants.some(variant => variant.available) : true,
+        unavailableReason: null
+    };
+}
+
+// Fetch failures that mean the listing itself is gone for us
+const UNAVAILABLE_CODES = ['NOT_FOUND', 'REGION_RESTRICTED'];
+
+// A delisted or region-blocked product is a change, not a failed check. The
+// last known prices are kept, so only availability (and stock) move.
+function unavailableSnapshot(previous, code, checkedAt) {
+    return {
+        checkedAt,
+        salePrice: previous?.salePrice ?? 0,
+        originalPrice: previous?.originalPrice ?? 0,
+        currency: previous?.currency ?? null,
+        stock: previous && previous.stock !== null ? 0 : null,
+        available: false,
+        unavailableReason: code
+    };
+}
+
+// pricePercent: minimum relative price move to report (0 = any change).
+// stockUnits: minimum absolute stock move to report; running out always counts.
+function detectChanges(previous, current, { pricePercent = 0, stockUnits = 1 } = {}) {
+    if (!previous) return [];
+    const changes = [];
+
+    for (const field of ['salePrice', 'originalPrice']) {
+        const from = previous[field];
+        const to = current[field];
+        if (from === to) continue;
+        const changePercent = from ? Math.round(((to - from) / from) * 10000) / 100 : null;
+        if (changePercent === null || Math.abs(changePercent) >= pricePercent) {
+            changes.push({ field, from, to, changePercent });
+        }
+    }
+
+    if (previous.stock !== null && current.stock !== null && previous.stock !== current.stock) {
+        const soldOut = current.stock === 0 || previous.stock === 0;
+        if (soldOut || Math.abs(current.stock - previous.stock) >= stockUnits) {
+            changes.push({ field: 'stock', from: previous.stock, to: current.stock });
+        }
+    }
+
+    if (previous.available !== current.available) {
+        changes.push({ field: 'available', from: previous.available, to: current.available });
+    }
+
+    return changes;
+}
+
+// store: a json-store; fetchProduct(url) resolves product data;
+// webhooks: a webhook sender (optional)
+function createWatchlist({ store, fetchProduct, webhooks = null, thresholds = {}, historyLimit = 500, now = Date.now }) {
+    let timer = null;
+
+    const emptyState = data => {
+        data.items = data.items || {};
+        data.history = data.history || {};
+        return data;
+    };
+
+    async function list() {
+        const data = emptyState(await store.read());
+        return Object.values(data.items);
+    }
+
+    async function get(id) {
+        const data = emptyState(await store.read());
+        return data.items[id] || null;
+    }
+
+    async function add(url, { webhookUrl = null } = {}) {
+        const id = extractProductId(url);
+        if (!id) throw new Error('Could not extract product ID from URL');
+
+        return store.update(raw => {
+            const data = emptyState(raw);
+            const existing = data.items[id];
+            data.items[id] = {
+                id,
+                url,
+                webhookUrl: webhookUrl || existing?.webhookUrl || null,
+                addedAt: existing?.addedAt || new Date(now()).toISOString(),
+                lastCheckedAt: existing?.lastCheckedAt || null,
+                lastError: existing?.lastError || null,
+                last: existing?.last || null
+            };
+            return data.items[id];
+        });
+    }
+
+    async function remove(id) {
+        return store.update(raw => {
+            const data = emptyState(raw);
+            if (!data.items[id]) return false;
+            delete data.items[id];
+            delete data.history[id];
+            return true;
+        });
+    }
+
+    async function history(id) {
+        const data = emptyState(await store.read());
+        if (!data.items[id]) return null;
+        return data.history[id] || [];
+    }
+
+    // Refetch one product, record the snapshot and notify on changes
+    async function check(id) {
+        const item = await get(id);
+        if (!item) return null;
+
+        const checkedAt = new Date(now()).toISOString();
+        let snapshot;
+        try {
+            snapshot = snapshotOf(await fetchProduct(item.url), checkedAt);
+        } catch (error) {
+            if (!UNAVAILABLE_CODES.includes(error.code)) {
+                logger.warn('Watchlist check failed', { productId: id, error });
+                await store.update(raw => {
+                    const current = emptyState(raw).items[id];
+                    if (current) Object.assign(current, { lastCheckedAt: checkedAt, lastError: error.message });
+                });
+                return { id, error: error.message, changes: [] };
+            }
+            logger.info('Watchlist item unavailable', { productId: id, code: error.code });
+            snapshot = unavailableSnapshot(item.last, error.code, checkedAt);
+        }
+
+        const changes = detectChanges(item.last, snapshot, thresholds);
+        await store.update(raw => {
+            const data = emptyState(raw);
+            const current = data.items[id];
+            if (!current) return;
+            Object.assign(current, { lastCheckedAt: checkedAt, lastError: null, last: snapshot });
+            const entries = data.history[id] = data.history[id] || [];
+            entries.push(snapshot);
+            if (entries.length > historyLimit) entries.splice(0, entries.length - historyLimit);
+        });
+
+        if (changes.length > 0 && webhooks) {
+            logger.info('Watchlist item changed', { productId: id, fields: changes.map(change => change.field) });
+            await webhooks.send('watchlist.changed', {
+                productId: id,
+                url: item.url,
+                changes,
+                previous: item.last,
+                current: snapshot
+            }, [item.webhookUrl]);
+        }
+
+        return { id, changes };
+    }
+
+    // Check every item one after another to stay gentle on AliExpress
+    async function checkAll() {
+        const results = [];
+        for (const item of await list()) {
+            results.push(await check(item.id));
+        }
+        return results;
+    }
+
+    // A run that is still going when the next one is due is not overlapped;
+    // that tick is skipped
+    function start(intervalMs) {
+        stop();
+        let running = null;
+        timer = setInterval(() => {
+            if (running) return logger.warn('Watchlist run still in progress, skipping this one');
+            running = checkAll()
+                .catch(error => logger.error('Watchlist run failed', { error }))
+                .finally(() => { running = null; });
+        }, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return { add, get, list, remove, history, check, checkAll, start, stop };
+}
+
+export { createWatchlist, detectChanges, snapshotOf };
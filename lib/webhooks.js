@@ -0,0 +1,75 @@
+// Outgoing signed webhooks
+// Each POST carries X-Aliex-Timestamp and X-Aliex-Signature: sha256=<hex>, an
+// HMAC-SHA256 over "<timestamp>.<body>" with the shared secret, so receivers
+// can verify the sender and reject replays.
+import { createHmac } from 'node:crypto';
+import https from 'node:https';
+import fetch from 'node-fetch';
+import { createSafeLookup } from './safe-fetch.js';
+import { logger } from './logger.js';
+
+// Per-item URLs come from API callers, so they may only reach public
+// addresses; checked in the socket lookup like the AliExpress fetches
+const safeLookup = createSafeLookup();
+const publicAgent = new https.Agent({ lookup: safeLookup });
+
+function signPayload(body, secret, timestamp) {
+    return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Why a caller-supplied webhook URL is refused, or null when it is fine:
+// an absolute https URL without credentials whose host resolves to public
+// addresses only
+async function checkWebhookUrl(input, { lookup = safeLookup } = {}) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch (e) {
+        return 'webhookUrl must be an absolute URL';
+    }
+    if (url.protocol !== 'https:') return 'webhookUrl must be an https URL';
+    if (url.username || url.password) return 'webhookUrl must not contain credentials';
+
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    const error = await new Promise(resolve => lookup(hostname, {}, resolve));
+    if (error?.code === 'ADDRESS_NOT_ALLOWED') return `webhookUrl must not point at a private address: ${error.message}`;
+    if (error) return `webhookUrl host could not be resolved: ${hostname}`;
+    return null;
+}
+
+// urls: operator-configured receivers, trusted as they are. Extra URLs passed
+// to send() are delivered through the public-address check and may not
+// redirect elsewhere. timeoutMs caps
+// each delivery so a hanging receiver cannot hold up the caller.
+function createWebhookSender({ urls = [], secret = '', timeoutMs = 10000, fetchImpl = fetch, now = Date.now } = {}) {
+    // Deliver one event to the default URLs plus any extra ones; a failing
+    // receiver is logged and does not stop delivery to the others
+    async function send(event, payload, extraUrls = []) {
+        const targets = [...new Set([...urls, ...extraUrls].filter(Boolean))];
+        const timestamp = String(Math.floor(now() / 1000));
+        const body = JSON.stringify({ event, sentAt: new Date(now()).toISOString(), data: payload });
+        const headers = { 'Content-Type': 'application/json', 'X-Aliex-Event': event, 'X-Aliex-Timestamp': timestamp };
+        if (secret) headers['X-Aliex-Signature'] = signPayload(body, secret, timestamp);
+
+        return Promise.all(targets.map(async url => {
+            try {
+                const response = await fetchImpl(url, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: AbortSignal.timeout(timeoutMs),
+                    ...(urls.includes(url) ? {} : { agent: publicAgent, redirect: 'manual' })
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return { url, ok: true };
+            } catch (error) {
+                logger.warn('Webhook delivery failed', { url, error });
+                return { url, ok: false, error: error.message };
+            }
+        }));
+    }
+
+    return { send };
+}
+
+export { createWebhookSender, checkWebhookUrl, signPayload };
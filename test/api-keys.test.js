@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createApiKeyAuth, createTokenBucket, createUsageTracker, loadApiKeys } from '../lib/api-keys.js';
+
+function memoryStore(initial = {}) {
+    let data = structuredClone(initial);
+    return {
+        async read() { return data; },
+        async update(fn) { return fn(data); },
+        get data() { return data; }
+    };
+}
+
+function request(headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { get: name => lower[name.toLowerCase()] };
+}
+
+// Runs the middleware and resolves with { next } or { status, body, headers }
+function call(auth, req) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            headers: {},
+            statusCode: 200,
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { resolve({ status: this.statusCode, body, headers: this.headers }); return this; }
+        };
+        auth.middleware(req, res, error => (error ? reject(error) : resolve({ next: true, headers: res.headers })));
+    });
+}
+
+const keys = [
+    { name: 'shop', key: 'k-shop', rateLimit: { capacity: 2, refillPerSecond: 1 }, dailyQuota: 3, corsOrigins: ['https://shop.test'], admin: false },
+    { name: 'ops', key: 'k-ops', rateLimit: { capacity: 100, refillPerSecond: 10 }, dailyQuota: null, corsOrigins: [], admin: true }
+];
+
+test('token bucket allows bursts and refills over time', () => {
+    let time = 0;
+    const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 0.5, now: () => time });
+
+    assert.equal(bucket.take().allowed, true);
+    assert.equal(bucket.take().allowed, true);
+    assert.deepEqual(bucket.take(), { allowed: false, retryAfter: 2 });
+    time = 2000;
+    assert.equal(bucket.take().allowed, true);
+});
+
+test('authenticates by header or bearer token and enforces the rate limit', async () => {
+    let time = Date.parse('2026-10-18T12:00:00Z');
+    const auth = createApiKeyAuth({ keys, usage: createUsageTracker({ store: memoryStore(), now: () => time }), now: () => time });
+
+    assert.equal((await call(auth, request())).status, 401);
+    assert.equal((await call(auth, request({ 'X-API-Key': 'wrong' }))).status, 401);
+    assert.equal((await call(auth, request({ 'X-API-Key': 'k-shop' }))).next, true);
+    assert.equal((await call(auth, request({ Authorization: 'Bearer k-shop' }))).next, true);
+
+    const limited = await call(auth, request({ 'X-API-Key': 'k-shop' }));
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Rate limit exceeded');
+    assert.equal(limited.headers['Retry-After'], '1');
+});
+
+test('enforces the daily quota until midnight UTC', async () => {
+    let time = Date.parse('2026-10-18T23:00:00Z');
+    const auth = createApiKeyAuth({ keys, usage: createUsageTracker({ store: memoryStore(), now: () => time }), now: () => time });
+    const shop = () => call(auth, request({ 'X-API-Key': 'k-shop' }));
+
+    for (let i = 0; i < 3; i++) {
+        time += 5000;
+        assert.equal((await shop()).next, true);
+    }
+    time += 5000;
+    const blocked = await shop();
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.error, 'Daily quota exceeded');
+    assert.equal(blocked.headers['Retry-After'], String(3600 - 20));
+
+    time = Date.parse('2026-10-19T00:00:01Z');
+    assert.equal((await shop()).next, true);
+});
+
+test('checks each key against its own CORS origins', async () => {
+    const auth = createApiKeyAuth({ keys, usage: createUsageTracker({ store: memoryStore() }) });
+
+    assert.equal(auth.isOriginAllowed('https://shop.test'), true);
+    assert.equal(auth.isOriginAllowed('https://evil.test'), false);
+    assert.equal((await call(auth, request({ 'X-API-Key': 'k-shop', Origin: 'https://shop.test' }))).next, true);
+    assert.equal((await call(auth, request({ 'X-API-Key': 'k-ops', Origin: 'https://shop.test' }))).status, 403);
+});
+
+test('reports and persists usage per key', async () => {
+    const time = Date.parse('2026-10-18T12:00:00Z');
+    const store = memoryStore({ usage: { shop: { '2026-10-17': 9, '2026-08-01': 4 } } });
+    const usage = createUsageTracker({ store, now: () => time });
+    const auth = createApiKeyAuth({ keys, usage, now: () => time });
+
+    await call(auth, request({ 'X-API-Key': 'k-shop' }));
+    const report = auth.describe(keys[0]);
+    assert.deepEqual(report.today, { used: 1, quota: 3, remaining: 2 });
+    assert.equal(report.rateLimit.tokens, 1);
+    assert.equal(report.history['2026-10-17'], 9);
+
+    await usage.flush();
+    assert.deepEqual(store.data.usage, { shop: { '2026-10-17': 9, '2026-10-18': 1 } });
+});
+
+test('lets everything through when no keys are configured', async () => {
+    const auth = createApiKeyAuth({ keys: [], usage: createUsageTracker({ store: memoryStore() }) });
+    assert.equal(auth.enabled, false);
+    assert.equal(auth.isOriginAllowed('https://anywhere.test'), true);
+    assert.equal((await call(auth, request())).next, true);
+});
+
+test('loads keys from a config file', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'aliex-keys-'));
+    const file = path.join(dir, 'api-keys.json');
+    try {
+        await writeFile(file, JSON.stringify({ keys: [{ name: 'a', key: 'k-a', dailyQuota: 10 }, { name: 'b', key: 'k-b', disabled: true }] }));
+        assert.deepEqual(loadApiKeys(file), [{
+            name: 'a', key: 'k-a', rateLimit: { capacity: 30, refillPerSecond: 0.5 }, dailyQuota: 10, corsOrigins: [], admin: false
+        }]);
+        assert.deepEqual(loadApiKeys(path.join(dir, 'missing.json')), []);
+
+        await writeFile(file, JSON.stringify({ keys: [{ key: 'no-name' }] }));
+        assert.throws(() => loadApiKeys(file), /needs a "name"/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import fetch from 'node-fetch';
+import { createApp } from '../lib/app.js';
+import { createFileStore } from '../lib/cache.js';
+
+let dir;
+let server;
+let baseUrl;
+
+before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'aliex-app-'));
+    await writeFile(path.join(dir, 'api-keys.json'), JSON.stringify({ keys: [{ name: 'shop', key: 'k-shop' }] }));
+    process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+    process.env.DATA_DIR = dir;
+    process.env.CACHE_BACKEND = 'file';
+
+    // A cached product, so product routes answer without going upstream
+    const product = JSON.parse(await readFile(new URL('./fixtures/products/run-params.expected.json', import.meta.url), 'utf8'));
+    await createFileStore({ dir: path.join(dir, 'cache') }).set('1005006123456789', {
+        value: { ...product, productId: '1005006123456789', url: 'https://www.aliexpress.com/item/1005006123456789.html' },
+        storedAt: Date.now()
+    });
+
+    server = createApp().listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.API_KEYS_FILE;
+    delete process.env.DATA_DIR;
+    delete process.env.CACHE_BACKEND;
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('requires an API key for the watchlist and the image mirror', async () => {
+    const requests = [
+        ['POST', '/api/watchlist', { url: 'https://www.aliexpress.com/item/1005006123456789.html' }],
+        ['GET', '/api/watchlist'],
+        ['DELETE', '/api/watchlist/1005006123456789'],
+        ['GET', '/api/watchlist/1005006123456789/history'],
+        ['GET', '/api/images/S1a2b3c4d5e6f.jpg']
+    ];
+    for (const [method, route, body] of requests) {
+        const response = await fetch(baseUrl + route, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        assert.equal(response.status, 401, `${method} ${route}`);
+        assert.equal((await response.json()).error, 'Unauthorized');
+    }
+
+    const listed = await fetch(`${baseUrl}/api/watchlist`, { headers: { 'X-API-Key': 'k-shop' } });
+    assert.equal(listed.status, 200);
+    assert.deepEqual((await listed.json()).data, []);
+});
+
+test('refuses watchlist webhooks aimed at internal addresses', async () => {
+    for (const webhookUrl of ['http://127.0.0.1:9/internal', 'https://127.0.0.1/internal', 'https://[::1]/internal']) {
+        const response = await fetch(`${baseUrl}/api/watchlist`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': 'k-shop' },
+            body: JSON.stringify({ url: 'https://www.aliexpress.com/item/1005006123456789.html', webhookUrl })
+        });
+        assert.equal(response.status, 400, webhookUrl);
+        assert.equal((await response.json()).error, 'Invalid webhookUrl');
+    }
+});
+
+test('exports valid product payloads and rejects malformed ones before streaming', async () => {
+    const post = body => fetch(`${baseUrl}/api/aliexpress/export?format=woocommerce`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'k-shop' },
+        body: JSON.stringify(body)
+    });
+
+    const exported = await post({ products: [{ title: 'Lantern', description: 'Bright', salePrice: { amount: 5, currency: 'USD' } }] });
+    assert.equal(exported.status, 200);
+    assert.match(await exported.text(), /Lantern/);
+
+    const badDescription = await post({ products: [{ title: 'x', description: 5 }] });
+    assert.equal(badDescription.status, 400);
+    assert.deepEqual((await badDescription.json()).details, [{ path: 'products[0].description', message: 'must be string or null' }]);
+
+    const badOptions = await post({ products: [{ title: 'x', options: [{ name: 'Color', values: 'Black' }] }] });
+    assert.equal(badOptions.status, 400);
+
+    const badShipTo = await post({ products: [{ title: 'x' }], shipTo: 'USA' });
+    assert.equal(badShipTo.status, 400);
+    assert.equal((await badShipTo.json()).error, 'Invalid shipTo');
+
+    const noCurrency = await post({ products: [{ title: 'x', salePrice: { amount: 5, currency: null } }], currency: 'EUR' });
+    assert.equal(noCurrency.status, 400);
+    assert.deepEqual((await noCurrency.json()).details.map(detail => detail.path), ['products[0].salePrice.currency']);
+
+    const noRate = await post({ products: [{ title: 'x', salePrice: { amount: 5, currency: 'USD' } }, { title: 'y', salePrice: { amount: 5, currency: 'ZZZ' } }], currency: 'EUR' });
+    assert.equal(noRate.status, 400);
+    assert.deepEqual((await noRate.json()).details.map(detail => detail.path), ['products[1].salePrice.currency']);
+
+    const converted = await post({ products: [{ title: 'Lantern', salePrice: { amount: 5, currency: 'USD' } }], currency: 'EUR' });
+    assert.equal(converted.status, 200);
+});
+
+test('keyed product responses may only be cached privately', async () => {
+    for (const route of ['/api/aliexpress/product/1005006123456789', '/api/v2/product/1005006123456789']) {
+        const response = await fetch(baseUrl + route, { headers: { 'X-API-Key': 'k-shop' } });
+        assert.equal(response.status, 200, route);
+        assert.equal(response.headers.get('x-cache'), 'HIT');
+        assert.match(response.headers.get('cache-control'), /^private, max-age=\d+, stale-while-revalidate=\d+$/);
+    }
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createCache, createFileStore } from '../lib/cache.js';
+
+function clock(start = 0) {
+    const fn = () => fn.time;
+    fn.time = start;
+    return fn;
+}
+
+test('serves fresh entries from cache and reloads after staleness expires', async () => {
+    const now = clock();
+    const cache = createCache({ ttl: 10, staleTtl: 20, now });
+    let calls = 0;
+    const loader = async () => ++calls;
+
+    assert.deepEqual(await cache.get('1', loader), { value: 1, status: 'MISS', age: 0 });
+    now.time = 5000;
+    assert.equal((await cache.get('1', loader)).status, 'HIT');
+
+    now.time = 40000;
+    assert.deepEqual(await cache.get('1', loader), { value: 2, status: 'MISS', age: 0 });
+});
+
+test('serves stale data while refreshing in the background', async () => {
+    const now = clock();
+    const cache = createCache({ ttl: 10, staleTtl: 20, now });
+    let calls = 0;
+    const loader = async () => ++calls;
+
+    await cache.get('1', loader);
+    now.time = 15000;
+    const stale = await cache.get('1', loader);
+    assert.equal(stale.status, 'STALE');
+    assert.equal(stale.value, 1);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(await cache.get('1', loader), { value: 2, status: 'HIT', age: 0 });
+});
+
+test('coalesces concurrent loads of the same key', async () => {
+    const cache = createCache();
+    let calls = 0;
+    const loader = () => new Promise(resolve => setTimeout(() => resolve(++calls), 10));
+
+    const results = await Promise.all([cache.get('1', loader), cache.get('1', loader), cache.get('1', loader)]);
+    assert.equal(calls, 1);
+    assert.deepEqual(results.map(result => result.value), [1, 1, 1]);
+});
+
+test('fresh bypasses a cached entry', async () => {
+    const cache = createCache();
+    let calls = 0;
+    const loader = async () => ++calls;
+
+    await cache.get('1', loader);
+    assert.deepEqual(await cache.get('1', loader, { fresh: true }), { value: 2, status: 'BYPASS', age: 0 });
+});
+
+test('file store persists entries across cache instances', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'aliex-cache-'));
+    try {
+        await createCache({ store: createFileStore({ dir }) }).get('1005', async () => ({ title: 'Lamp' }));
+        const result = await createCache({ store: createFileStore({ dir }) }).get('1005', async () => assert.fail('should hit'));
+        assert.equal(result.status, 'HIT');
+        assert.deepEqual(result.value, { title: 'Lamp' });
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('file store takes keys longer than a file name', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'aliex-cache-'));
+    try {
+        const key = `search:${JSON.stringify({ q: 'usb c cable '.repeat(40), category: null, page: 1 })}:US`;
+        const cache = createCache({ store: createFileStore({ dir }) });
+        await cache.get(key, async () => ({ products: [] }));
+        assert.equal((await cache.get(key, async () => assert.fail('should hit'))).status, 'HIT');
+        assert.ok(readdirSync(dir).every(file => file.length < 100));
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a failed cache write does not fail the caller', async () => {
+    const store = { get: async () => null, set: async () => { throw new Error('ENOSPC'); }, delete: async () => {} };
+    const cache = createCache({ store });
+    assert.deepEqual(await cache.get('1', async () => 'value'), { value: 'value', status: 'MISS', age: 0 });
+});
+
+test('drops entries once they are past the stale window', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'aliex-cache-'));
+    try {
+        const now = clock();
+        const cache = createCache({ store: createFileStore({ dir }), ttl: 10, staleTtl: 20, now });
+        await cache.get('1005', async () => 1);
+        assert.equal(readdirSync(dir).length, 1);
+
+        now.time = 60000;
+        await cache.get('1005', async () => { throw new Error('upstream down'); }).catch(() => {});
+        assert.deepEqual(readdirSync(dir), []);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
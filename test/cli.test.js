@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { readFileSync } from 'node:fs';
+import { main } from '../lib/cli.js';
+import { parseProductHtml } from '../lib/parse.js';
+
+const fixturePath = fileURLToPath(new URL('./fixtures/products/run-params.html', import.meta.url));
+const productUrl = 'https://www.aliexpress.com/item/1005006123456789.html';
+
+function output() {
+    const chunks = [];
+    return { write: chunk => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+async function run(argv, options = {}) {
+    const stdout = output();
+    const stderr = output();
+    const code = await main(argv, { stdout, stderr, stdin: Readable.from([]), ...options });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+}
+
+test('parse prints the normalized product', async () => {
+    const { code, stdout } = await run(['parse', fixturePath, '--url', productUrl]);
+    const product = JSON.parse(stdout);
+
+    assert.equal(code, 0);
+    assert.equal(product.schemaVersion, '2.1');
+    assert.equal(product.productId, '1005006123456789');
+    assert.equal(product.url, productUrl);
+    assert.ok(product.title);
+});
+
+test('parse reads stdin and writes Shopify CSV', async () => {
+    const html = readFileSync(fixturePath, 'utf8');
+    const { code, stdout } = await run(['parse', '-', '--csv'], { stdin: Readable.from([html]) });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Handle,Title,Body \(HTML\)/);
+    assert.ok(stdout.split('\r\n').length > 2);
+});
+
+test('fetch prints an array for several products and reports failures', async () => {
+    const product = parseProductHtml(readFileSync(fixturePath, 'utf8'), { url: productUrl });
+    const calls = [];
+    const fetchProduct = async (input, options) => {
+        calls.push({ input, options });
+        if (input === 'bad') throw new Error('Not an AliExpress product URL or ID');
+        return { ...product, productId: input };
+    };
+    const { code, stdout, stderr } = await run(['fetch', '1005006123456789', 'bad', '1005006123456790', '--ship-to', 'de', '--format', 'raw'], { fetchProduct });
+
+    assert.equal(code, 1);
+    assert.deepEqual(JSON.parse(stdout).map(item => item.productId), ['1005006123456789', '1005006123456790']);
+    assert.match(stderr, /aliex: bad: Not an AliExpress product URL or ID/);
+    assert.deepEqual(calls[0].options, { shipTo: 'DE', locale: null });
+});
+
+test('id prints one ID per line, reading stdin when no URLs are given', async () => {
+    const stdin = Readable.from(['https://www.aliexpress.com/item/1005001.html\n', 'https://www.aliexpress.us/item/3256804.html\n']);
+    const { code, stdout } = await run(['id'], { stdin });
+
+    assert.equal(code, 0);
+    assert.equal(stdout, '1005001\n3256804\n');
+});
+
+test('bad usage exits with 2 before fetching anything', async () => {
+    const fetchProduct = async () => assert.fail('should not fetch');
+
+    assert.equal((await run(['fetch', '1005001', '--format', 'xml'], { fetchProduct })).code, 2);
+    assert.equal((await run(['fetch', '1005001', '--locale', 'xx_YY'], { fetchProduct })).code, 2);
+    assert.equal((await run(['fetch', '1005001', '--bogus'], { fetchProduct })).code, 2);
+    const { code, stderr } = await run(['frobnicate']);
+    assert.equal(code, 2);
+    assert.match(stderr, /Unknown command: frobnicate[\s\S]*Usage: aliex/);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProduct } from '../lib/normalize.js';
+import { compareProducts, imageOverlap, normalizeWeights, titleSimilarity } from '../lib/compare.js';
+
+const usd = amount => ({ amount, currency: 'USD' });
+const image = key => `https://ae01.alicdn.com/kf/${key}.jpg_640x640.jpg`;
+
+function listing(productId, { title, price, shipping = null, rating, reviews, feedback = null, images }) {
+    return normalizeProduct({
+        productId,
+        url: `https://www.aliexpress.com/item/${productId}.html`,
+        title,
+        salePrice: usd(price),
+        rating,
+        reviews,
+        images: images.map(image),
+        shipping: shipping === null ? [] : [{ carrier: 'Cainiao', cost: usd(shipping) }],
+        store: feedback === null ? null : { id: `s${productId}`, name: `Store ${productId}`, positiveFeedbackPercent: feedback }
+    });
+}
+
+const cheap = listing('1001', { title: 'Wireless Earbuds Bluetooth 5.3 TWS Headphones', price: 8, shipping: 2, rating: 4.2, reviews: 40, feedback: 90, images: ['S1aa', 'S1bb', 'S1cc'] });
+const trusted = listing('1002', { title: 'TWS Wireless Earbuds Bluetooth 5.3 Headphones Free Shipping', price: 10, shipping: 0, rating: 4.9, reviews: 5000, feedback: 98, images: ['S2xx', 'S1bb', 'S1cc', 'S2yy'] });
+const other = listing('1003', { title: 'Stainless Steel Kitchen Knife Set', price: 15, rating: 4.5, reviews: 300, images: ['S3aa'] });
+
+test('scores title similarity on significant words and image overlap on CDN keys', () => {
+    assert.equal(titleSimilarity(cheap.title, trusted.title), 1);
+    assert.equal(titleSimilarity(cheap.title, other.title), 0);
+    assert.equal(titleSimilarity('', ''), 0);
+    // Two of the smaller gallery's three photos, with thumbnail suffixes ignored
+    assert.equal(imageOverlap(cheap, trusted), 0.67);
+    assert.equal(imageOverlap(cheap, other), 0);
+});
+
+test('builds the table, flags duplicates and recommends the best value', () => {
+    const result = compareProducts([cheap, trusted, other]);
+
+    assert.equal(result.currency, 'USD');
+    assert.deepEqual(result.products.map(row => row.productId), ['1001', '1002', '1003']);
+    assert.deepEqual(result.products[0].totalCost, usd(10));
+    assert.equal(result.products[0].storeScore, 90);
+    // Missing shipping and store data score nothing
+    assert.deepEqual(result.products[2].scores, { price: 0, shipping: 0, rating: 0.9, reviews: 0.67, store: 0 });
+    assert.deepEqual(result.products.map(row => row.rank), [2, 1, 3]);
+    assert.equal(result.recommended, '1002');
+
+    assert.deepEqual(result.duplicates, [{ productIds: ['1001', '1002'], titleSimilarity: 1, imageOverlap: 0.67 }]);
+    assert.deepEqual(result.groups, [{ productIds: ['1001', '1002'], recommended: '1002' }]);
+});
+
+test('weights change the recommendation', () => {
+    const { weights } = normalizeWeights({ price: 1, shipping: 0, rating: 0, reviews: 0, store: 0 });
+    const result = compareProducts([cheap, trusted, other], { weights });
+
+    assert.equal(result.recommended, '1001');
+    assert.equal(result.products[0].score, 100);
+});
+
+test('validates weights and rejects mixed currencies', () => {
+    assert.deepEqual(normalizeWeights(undefined).weights, { price: 0.4, shipping: 0.2, rating: 0.15, reviews: 0.1, store: 0.15 });
+    assert.deepEqual(normalizeWeights({ price: -1, speed: 2 }).errors.map(error => error.path), ['price', 'speed']);
+    assert.equal(normalizeWeights({ price: 0, shipping: 0, rating: 0, reviews: 0, store: 0 }).errors.length, 1);
+
+    const euro = { ...other, salePrice: { amount: 14, currency: 'EUR' } };
+    assert.throws(() => compareProducts([cheap, euro]), /one currency, got USD, EUR/);
+});
+
+test('a listing without a scraped price gets no price score', () => {
+    const priced = listing('2001', { title: 'Desk Lamp', price: 5, shipping: 1, rating: 4.5, reviews: 100, feedback: 95, images: ['S4aa'] });
+    const unpriced = listing('2002', { title: 'Desk Lamp', price: 0, shipping: 1, rating: 4.5, reviews: 100, feedback: 95, images: ['S4bb'] });
+    const result = compareProducts([priced, unpriced]);
+
+    assert.equal(result.products[0].scores.price, 1);
+    assert.equal(result.products[1].scores.price, 0);
+    assert.equal(result.recommended, '2001');
+});
+
+test('an unknown shipping cost is neither free nor the cheapest option', () => {
+    const known = listing('3001', { title: 'Desk Lamp', price: 5, shipping: 1, rating: 4.5, reviews: 100, feedback: 95, images: ['S5aa'] });
+    const unknown = normalizeProduct({ ...listing('3002', { title: 'Desk Lamp', price: 5, rating: 4.5, reviews: 100, feedback: 95, images: ['S5bb'] }), shipping: [{ carrier: 'DHL', cost: null, free: false }] });
+    const result = compareProducts([known, unknown]);
+
+    assert.equal(result.products[1].shipping, null);
+    assert.deepEqual(result.products[1].totalCost, usd(5));
+    assert.equal(result.products[0].scores.shipping, 1);
+    assert.equal(result.products[1].scores.shipping, 0);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { findDescriptionUrl, sanitizeDescriptionHtml } from '../lib/description.js';
+
+const sellerHtml = readFileSync(new URL('./fixtures/descriptions/seller.html', import.meta.url), 'utf8');
+
+test('strips scripts, trackers, handlers and links from seller HTML', () => {
+    const { html } = sanitizeDescriptionHtml(sellerHtml);
+
+    assert.doesNotMatch(html, /<script|<style|<iframe|<a\b|onclick|onerror|style=|pixel\.gif|<!--/);
+    assert.match(html, /Waterproof IP68 rating/);
+    assert.match(html, /<td colspan="1">M<\/td>/);
+    assert.match(html, /<img src="https:\/\/ae01\.alicdn\.com\/kf\/Sdesc2\.jpg" alt="size chart">/);
+});
+
+test('returns plain text and deduplicated images', () => {
+    const { text, images } = sanitizeDescriptionHtml(sellerHtml);
+
+    assert.equal(text, 'Product Features\nWaterproof IP68 rating\nBattery: 300mAh\nSize Wrist\nM 15-19cm');
+    assert.deepEqual(images, [
+        'https://ae01.alicdn.com/kf/Sdesc1.jpg',
+        'https://ae01.alicdn.com/kf/Sdesc2.jpg'
+    ]);
+});
+
+test('finds the description URL in runParams and DCData shapes', () => {
+    assert.equal(
+        findDescriptionUrl({ data: { descriptionModule: { descriptionUrl: '//aeproductsourcesite.alicdn.com/product/description/pc/v2/en_US/desc.htm?productId=1' } } }),
+        'https://aeproductsourcesite.alicdn.com/product/description/pc/v2/en_US/desc.htm?productId=1'
+    );
+    assert.equal(findDescriptionUrl({ productDescComponent: { descriptionUrl: 'https://desc.test/1' } }), 'https://desc.test/1');
+    assert.equal(findDescriptionUrl({ data: {} }), null);
+});
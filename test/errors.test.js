@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScrapeError, classifyBlockedPage, classifyEmptyPage, classifyFetchError } from '../lib/errors.js';
+
+test('recognizes captcha, punish and login pages', () => {
+    assert.equal(classifyBlockedPage('<div id="nocaptcha" class="nc-container"></div>').code, 'CAPTCHA');
+    assert.equal(classifyBlockedPage('<script>var _config_ = {"action":"deny"};</script>').code, 'BLOCKED');
+    assert.equal(classifyBlockedPage('', { finalUrl: 'https://login.aliexpress.com/?return_url=x' }).code, 'BLOCKED');
+    assert.equal(classifyBlockedPage('', { finalUrl: 'https://www.aliexpress.com/item/1.html/_____tmd_____/punish?x5secdata=1' }).code, 'CAPTCHA');
+    assert.equal(classifyBlockedPage('Too many requests', { status: 429 }).code, 'BLOCKED');
+    assert.equal(classifyBlockedPage('<html><body>A normal product page</body></html>'), null);
+});
+
+test('explains pages without product data', () => {
+    assert.equal(classifyEmptyPage('', { status: 404 }).code, 'NOT_FOUND');
+    assert.equal(classifyEmptyPage('<h2>Sorry, this item is no longer available!</h2>').code, 'NOT_FOUND');
+    assert.equal(classifyEmptyPage('<p>This product is not available in your country/region.</p>').code, 'REGION_RESTRICTED');
+    assert.equal(classifyEmptyPage('<html></html>').code, 'PARSE_FAILED');
+});
+
+test('maps codes to HTTP statuses and retryability', () => {
+    const captcha = new ScrapeError('CAPTCHA');
+    assert.equal(captcha.status, 503);
+    assert.equal(captcha.retryable, true);
+    assert.equal(captcha.message, 'Captcha challenge');
+    assert.equal(new ScrapeError('NOT_FOUND').status, 404);
+    assert.equal(new ScrapeError('REGION_RESTRICTED').status, 451);
+    assert.equal(new ScrapeError('PARSE_FAILED').retryable, false);
+});
+
+test('classifies timeouts and network failures', () => {
+    const abort = Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+    assert.equal(classifyFetchError(abort).code, 'TIMEOUT');
+    assert.equal(classifyFetchError(abort).status, 504);
+    assert.equal(classifyFetchError(new Error('socket hang up')).code, 'UPSTREAM_ERROR');
+    assert.equal(classifyFetchError(Object.assign(new Error('content size over limit'), { type: 'max-size' })).status, 413);
+
+    const typed = new ScrapeError('CAPTCHA');
+    assert.equal(classifyFetchError(typed), typed);
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { csvField, csvLines, jsonFeed, slugify, validateProducts } from '../lib/export.js';
+import { normalizeProduct } from '../lib/normalize.js';
+
+const cable = {
+    ...JSON.parse(readFileSync(new URL('./fixtures/products/run-params.expected.json', import.meta.url), 'utf8')),
+    productId: '1005006123456789',
+    url: 'https://www.aliexpress.com/item/1005006123456789.html',
+    images: ['https://ae01.alicdn.com/kf/Hcable1.jpg', 'https://ae01.alicdn.com/kf/Hcable2.jpg', 'https://ae01.alicdn.com/kf/Hcable3.jpg'],
+    specs: [{ label: 'Brand Name', value: 'UGREEN' }, { label: 'Length', value: '1m, 2m' }]
+};
+
+const lantern = {
+    ...JSON.parse(readFileSync(new URL('./fixtures/products/dom.expected.json', import.meta.url), 'utf8')),
+    productId: '1005001111111111',
+    description: 'Bright "camping" lantern\nUSB rechargeable'
+};
+
+// Minimal CSV reader for checking the output round-trips
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') quoted = true;
+        else if (char === ',') { row.push(field); field = ''; }
+        else if (char === '\r' && text[i + 1] === '\n') { row.push(field); rows.push(row); row = []; field = ''; i++; }
+        else field += char;
+    }
+    return rows;
+}
+
+function exportRows(format, products) {
+    const [header, ...rows] = parseCsv([...csvLines(format, products)].join(''));
+    return rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+}
+
+test('quotes fields with commas, quotes and line breaks', () => {
+    assert.equal(csvField('plain'), 'plain');
+    assert.equal(csvField('a,b'), '"a,b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField('two\nlines'), '"two\nlines"');
+    assert.equal(csvField(null), '');
+    assert.equal(csvField(0), '0');
+});
+
+test('generates URL-safe handles', () => {
+    assert.equal(slugify('USB C To USB C Cable 100W PD Fast Charging Cord'), 'usb-c-to-usb-c-cable-100w-pd-fast-charging-cord');
+    assert.equal(slugify('Café Crème — 2 Pack!'), 'cafe-creme-2-pack');
+    assert.equal(slugify('???'), 'product');
+});
+
+test('exports Shopify rows per variant and per image', () => {
+    const rows = exportRows('shopify', [cable]);
+
+    assert.equal(rows.length, 3);
+    assert.ok(rows.every(row => row.Handle === 'usb-c-to-usb-c-cable-100w-pd-fast-charging-cord'));
+    assert.equal(rows[0].Title, cable.title);
+    assert.equal(rows[0].Vendor, 'UGREEN Official Store');
+    assert.equal(rows[0].Tags, 'Brand Name: UGREEN, Length: 1m  2m');
+    assert.equal(rows[0]['Option1 Name'], 'Color');
+    assert.equal(rows[0]['Option2 Name'], 'Length');
+    assert.equal(rows[1]['Option2 Name'], '');
+    assert.equal(rows[1]['Option2 Value'], '2m');
+    assert.equal(rows[1]['Variant SKU'], '1005006123456789-10000013');
+    assert.equal(rows[1]['Variant Price'], '2.95');
+    assert.equal(rows[1]['Variant Compare At Price'], '5.9');
+    assert.equal(rows[1]['Variant Inventory Qty'], '420');
+    assert.equal(rows[1]['Variant Inventory Policy'], 'deny');
+    assert.equal(rows[2]['Variant SKU'], '');
+    assert.equal(rows[2]['Image Src'], 'https://ae01.alicdn.com/kf/Hcable3.jpg');
+    assert.equal(rows[2]['Image Position'], '3');
+});
+
+test('leaves inventory untracked for variants with unknown stock', () => {
+    const unknown = { ...cable, variants: cable.variants.map(variant => ({ ...variant, stock: null })) };
+    const rows = exportRows('shopify', [unknown]);
+
+    assert.equal(rows[0]['Variant Inventory Tracker'], '');
+    assert.equal(rows[0]['Variant Inventory Qty'], '');
+    assert.equal(rows[0]['Variant Inventory Policy'], 'continue');
+});
+
+test('exports a simple product with a default variant and unique handles', () => {
+    const rows = exportRows('shopify', [lantern, lantern]);
+
+    assert.equal(rows[0]['Option1 Value'], 'Default Title');
+    assert.equal(rows[0]['Body (HTML)'], '<p>Bright "camping" lantern</p><p>USB rechargeable</p>');
+    assert.notEqual(rows[0].Handle, rows[rows.length - 1].Handle);
+    assert.match(rows[rows.length - 1].Handle, /-1005001111111111$/);
+});
+
+test('exports WooCommerce variable products with variations and spec attributes', () => {
+    const rows = exportRows('woocommerce', [cable, lantern]);
+    const [parent, first, second] = rows;
+
+    assert.equal(parent.Type, 'variable');
+    assert.equal(parent.SKU, '1005006123456789');
+    assert.equal(parent.Images, 'https://ae01.alicdn.com/kf/Hcable1.jpg, https://ae01.alicdn.com/kf/Hcable2.jpg, https://ae01.alicdn.com/kf/Hcable3.jpg');
+    assert.equal(parent['Attribute 1 name'], 'Color');
+    assert.equal(parent['Attribute 2 value(s)'], '1m, 2m');
+    assert.equal(parent['Attribute 3 name'], 'Brand Name');
+    assert.equal(first.Type, 'variation');
+    assert.equal(first.Parent, '1005006123456789');
+    assert.equal(first['Regular price'], '4.7');
+    assert.equal(first['Sale price'], '2.35');
+    assert.equal(second['Attribute 2 value(s)'], '2m');
+    assert.equal(second['Attribute 3 name'], '');
+
+    const simple = rows.find(row => row.SKU === '1005001111111111');
+    assert.equal(simple.Type, 'simple');
+    assert.equal(simple['Attribute 1 name'], 'Brand Name');
+});
+
+test('builds a JSON Feed', () => {
+    const feed = jsonFeed([cable], { generatedAt: '2026-10-01T00:00:00.000Z' });
+
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(feed.items[0].id, '1005006123456789');
+    assert.equal(feed.items[0].image, 'https://ae01.alicdn.com/kf/Hcable1.jpg');
+    assert.deepEqual(feed.items[0]._aliexpress.salePrice, { amount: 2.35, currency: 'USD' });
+});
+
+test('accepts product payloads as returned by the API and rejects malformed ones', () => {
+    assert.deepEqual(validateProducts([cable, lantern, normalizeProduct(cable)]), []);
+
+    assert.deepEqual(validateProducts([{ title: 'x', description: 5 }]), [
+        { path: 'products[0].description', message: 'must be string or null' }
+    ]);
+    assert.deepEqual(validateProducts([cable, { title: 'x', options: [{ name: 'Color', values: 'Black' }] }]), [
+        { path: 'products[1].options[0].values', message: 'must be array' }
+    ]);
+    assert.deepEqual(validateProducts([null]).map(error => error.path), ['products[0]']);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { canonicalImageUrl, createImageMirror, imageKey, normalizeImages } from '../lib/images.js';
+
+test('strips thumbnail suffixes and fixes protocol-relative URLs', () => {
+    assert.equal(canonicalImageUrl('https://ae01.alicdn.com/kf/S1a2.jpg_640x640.jpg'), 'https://ae01.alicdn.com/kf/S1a2.jpg');
+    assert.equal(canonicalImageUrl('//ae01.alicdn.com/kf/S1a2.jpg_50x50.jpg'), 'https://ae01.alicdn.com/kf/S1a2.jpg');
+    assert.equal(canonicalImageUrl('https://ae04.alicdn.com/kf/S1a2.png_.webp'), 'https://ae04.alicdn.com/kf/S1a2.png');
+    assert.equal(canonicalImageUrl('https://ae01.alicdn.com/kf/S1a2.jpg_220x220q75.jpg_.webp?x=1'), 'https://ae01.alicdn.com/kf/S1a2.jpg');
+    assert.equal(canonicalImageUrl('not a url'), null);
+});
+
+test('keys images by their CDN path', () => {
+    assert.equal(imageKey('https://ae01.alicdn.com/kf/S1a2.jpg_640x640.jpg'), 'S1a2.jpg');
+    assert.equal(imageKey('https://ae-pic-a1.aliexpress-media.com/kf/S1a2.jpg'), 'S1a2.jpg');
+    assert.equal(imageKey('https://ae01.alicdn.com/kf/HTB1abc/Lantern-Light.jpg'), 'HTB1abc/Lantern-Light.jpg');
+    assert.equal(imageKey('https://img.alicdn.com/tfs/TB1banner-990-400.png'), null);
+    assert.equal(imageKey('https://example.com/kf/S1a2.jpg'), null);
+});
+
+test('dedupes across hosts and sizes and drops non-product assets', () => {
+    assert.deepEqual(normalizeImages([
+        'https://ae01.alicdn.com/kf/S1a2.jpg_640x640.jpg',
+        '//ae04.alicdn.com/kf/S1a2.jpg_50x50.jpg',
+        'https://ae01.alicdn.com/kf/S3b4.jpg_.webp',
+        'https://img.alicdn.com/tfs/TB1banner-990-400.png',
+        'https://ae01.alicdn.com/images/eng/wholesale/icon/logo.png',
+        'https://ae01.alicdn.com/kf/Spixel.gif',
+        'https://via.placeholder.com/600x600.jpg',
+        null
+    ]), [
+        'https://ae01.alicdn.com/kf/S1a2.jpg',
+        'https://ae01.alicdn.com/kf/S3b4.jpg'
+    ]);
+    assert.deepEqual(normalizeImages(undefined), []);
+});
+
+test('mirrors images to disk and serves repeats from the cache', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'aliex-images-'));
+    let calls = 0;
+    const agent = {};
+    const outboundPool = { next: () => ({ agent, proxy: 'http://proxy.example:8080', userAgent: 'pool-ua' }) };
+    const fetchImpl = async (url, options) => {
+        calls++;
+        assert.equal(url, 'https://ae01.alicdn.com/kf/S1a2.jpg');
+        assert.equal(options.agent, agent);
+        assert.equal(options.headers['User-Agent'], 'pool-ua');
+        return {
+            ok: true,
+            headers: new Map([['content-type', 'image/jpeg']]),
+            arrayBuffer: async () => new Uint8Array([0xff, 0xd8, 0xff]).buffer
+        };
+    };
+    try {
+        const mirror = createImageMirror({ dir, outboundPool, fetchImpl });
+        const [first, second] = await Promise.all([mirror.get('S1a2.jpg'), mirror.get('S1a2.jpg')]);
+        const third = await mirror.get('S1a2.jpg');
+
+        assert.equal(calls, 1);
+        assert.equal(first.cached, false);
+        assert.deepEqual([...second.body], [0xff, 0xd8, 0xff]);
+        assert.equal(third.cached, true);
+        assert.equal(third.contentType, 'image/jpeg');
+        await assert.rejects(mirror.get('../secret.jpg'), /Invalid image key/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
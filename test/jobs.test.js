@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue, describeJob } from '../lib/jobs.js';
+
+async function waitFor(job) {
+    while (job.status !== 'completed') {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+test('records a result per URL and keeps going after failures', async () => {
+    const queue = createJobQueue({
+        hostDelayMs: 0,
+        worker: async url => {
+            if (url.includes('bad')) throw new Error('boom');
+            return { url };
+        }
+    });
+
+    const job = queue.submit(['https://a.test/1', 'https://a.test/bad', 'not a url'], {
+        validate: url => (url.startsWith('https://') ? null : 'Invalid URL')
+    });
+    await waitFor(job);
+
+    const summary = describeJob(queue.get(job.id));
+    assert.deepEqual(summary.progress, { total: 3, completed: 3, succeeded: 1, failed: 2, percent: 100 });
+    assert.deepEqual(summary.results.map(result => [result.status, result.error]), [
+        ['success', null],
+        ['error', 'boom'],
+        ['error', 'Invalid URL']
+    ]);
+});
+
+test('never runs more than `concurrency` workers at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const queue = createJobQueue({
+        concurrency: 2,
+        hostDelayMs: 0,
+        worker: async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+        }
+    });
+
+    const job = queue.submit(Array.from({ length: 6 }, (_, i) => `https://a.test/${i}`));
+    await waitFor(job);
+    assert.equal(peak, 2);
+});
+
+test('spaces out calls to the same host', async () => {
+    const starts = [];
+    const queue = createJobQueue({
+        concurrency: 5,
+        hostDelayMs: 30,
+        worker: async () => starts.push(Date.now())
+    });
+
+    const job = queue.submit(['https://a.test/1', 'https://a.test/2', 'https://a.test/3']);
+    await waitFor(job);
+    assert.ok(starts[2] - starts[0] >= 55, `expected pacing, got ${starts[2] - starts[0]}ms`);
+});
+
+test('paces by the host the worker fetches from', async () => {
+    const starts = [];
+    const queue = createJobQueue({
+        concurrency: 5,
+        hostDelayMs: 30,
+        hostOf: () => 'www.aliexpress.com',
+        worker: async () => starts.push(Date.now())
+    });
+
+    const job = queue.submit(['https://m.aliexpress.com/item/1.html', 'https://aliexpress.us/item/2.html', '1005006123456789']);
+    await waitFor(job);
+    assert.ok(starts[2] - starts[0] >= 55, `expected pacing, got ${starts[2] - starts[0]}ms`);
+});
+
+test('returns null for unknown jobs', () => {
+    const queue = createJobQueue({ worker: async () => null });
+    assert.equal(queue.get('missing'), null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, withRequestContext } from '../lib/logger.js';
+
+function capture(options = {}) {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)), now: () => Date.parse('2026-10-18T12:00:00Z'), ...options });
+    return { logger, lines };
+}
+
+test('writes one JSON object per entry and drops entries below the level', () => {
+    const { logger, lines } = capture({ level: 'info' });
+    logger.debug('page preview', { preview: '<html>' });
+    logger.info('fetched', { status: 200 });
+
+    assert.deepEqual(lines, [{ time: '2026-10-18T12:00:00.000Z', level: 'info', msg: 'fetched', status: 200 }]);
+    assert.equal(logger.isLevelEnabled('debug'), false);
+});
+
+test('attaches the request ID of the current call', async () => {
+    const { logger, lines } = capture();
+    await withRequestContext({ requestId: 'req-1' }, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        logger.warn('slow upstream');
+    });
+    logger.info('outside');
+
+    assert.equal(lines[0].requestId, 'req-1');
+    assert.equal('requestId' in lines[1], false);
+});
+
+test('serializes errors, with stacks only for errors or at debug level', () => {
+    const { logger, lines } = capture({ level: 'info' });
+    const error = Object.assign(new Error('blocked'), { code: 'CAPTCHA' });
+    logger.warn('retrying', { error });
+    logger.error('failed', { error });
+
+    assert.deepEqual(lines[0].error, { name: 'Error', message: 'blocked', code: 'CAPTCHA' });
+    assert.match(lines[1].error.stack, /blocked/);
+});
+
+test('child loggers add fixed fields', () => {
+    const { logger, lines } = capture();
+    logger.child({ module: 'watchlist' }).info('checked');
+    assert.equal(lines[0].module, 'watchlist');
+});
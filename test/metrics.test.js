@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegistry, metrics } from '../lib/metrics.js';
+import { parseProductHtml } from '../lib/parse.js';
+import { readFileSync } from 'node:fs';
+
+test('renders counters in the Prometheus text format', () => {
+    const registry = createRegistry();
+    const requests = registry.counter('test_requests_total', 'Requests');
+    requests.inc({ route: '/a', status: 200 });
+    requests.inc({ status: 200, route: '/a' });
+    requests.inc({ route: '/b "quoted"', status: 500 });
+
+    assert.equal(registry.render(), [
+        '# HELP test_requests_total Requests',
+        '# TYPE test_requests_total counter',
+        'test_requests_total{route="/a",status="200"} 2',
+        'test_requests_total{route="/b \\"quoted\\"",status="500"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('renders cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    const latency = registry.histogram('test_seconds', 'Latency', [0.1, 1]);
+    latency.observe({ route: '/a' }, 0.05);
+    latency.observe({ route: '/a' }, 0.5);
+    latency.observe({ route: '/a' }, 3);
+
+    const text = registry.render();
+    assert.match(text, /test_seconds_bucket\{route="\/a",le="0.1"\} 1/);
+    assert.match(text, /test_seconds_bucket\{route="\/a",le="1"\} 2/);
+    assert.match(text, /test_seconds_bucket\{route="\/a",le="\+Inf"\} 3/);
+    assert.match(text, /test_seconds_sum\{route="\/a"\} 3.55/);
+    assert.match(text, /test_seconds_count\{route="\/a"\} 3/);
+});
+
+test('counts extraction method outcomes while parsing', () => {
+    const html = readFileSync(new URL('./fixtures/products/run-params.html', import.meta.url), 'utf8');
+    const before = metrics.extractorRuns.get({ extractor: 'runParams', result: 'supplied' });
+    const titles = metrics.fieldSources.get({ field: 'title', extractor: 'runParams' });
+
+    parseProductHtml(html, { currency: 'USD' });
+
+    assert.equal(metrics.extractorRuns.get({ extractor: 'runParams', result: 'supplied' }), before + 1);
+    assert.equal(metrics.fieldSources.get({ field: 'title', extractor: 'runParams' }), titles + 1);
+    assert.ok(metrics.extractorRuns.get({ extractor: 'dcData', result: 'empty' }) > 0);
+});
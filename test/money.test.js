@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { conversionErrors, convertMoney, convertProductPrices, parseAmount, toMoney } from '../lib/money.js';
+
+const rates = { base: 'USD', rates: { EUR: 0.9, VND: 25000 } };
+
+test('parses comma decimals and thousands separators', () => {
+    assert.equal(parseAmount('1.234,56 €'), 1234.56);
+    assert.equal(parseAmount('US $1,234.56'), 1234.56);
+    assert.equal(parseAmount('1 234,56 zł'), 1234.56);
+    assert.equal(parseAmount('25.000₫'), 25000);
+    assert.equal(parseAmount('12,5'), 12.5);
+    assert.equal(parseAmount('US $3.99 - 5.99'), 3.99);
+    assert.equal(parseAmount('no price'), null);
+});
+
+test('toMoney detects the currency from symbols, codes and price objects', () => {
+    assert.deepEqual(toMoney('1.234,56 €'), { amount: 1234.56, currency: 'EUR' });
+    assert.deepEqual(toMoney('US $12.40'), { amount: 12.4, currency: 'USD' });
+    assert.deepEqual(toMoney('12.40 BRL'), { amount: 12.4, currency: 'BRL' });
+    assert.deepEqual(toMoney({ value: 2.35, currency: 'USD' }), { amount: 2.35, currency: 'USD' });
+    assert.deepEqual(toMoney(7, 'GBP'), { amount: 7, currency: 'GBP' });
+    assert.equal(toMoney(''), null);
+});
+
+test('converts through the base currency and rounds per currency', () => {
+    assert.deepEqual(convertMoney({ amount: 10, currency: 'EUR' }, 'VND', rates), { amount: 277778, currency: 'VND' });
+    assert.deepEqual(convertMoney({ amount: 10, currency: 'USD' }, 'EUR', rates), { amount: 9, currency: 'EUR' });
+    assert.throws(() => convertMoney({ amount: 10, currency: 'GBP' }, 'EUR', rates), /No exchange rate for GBP/);
+});
+
+test('converts variant and shipping prices along with the product price', () => {
+    const product = {
+        salePrice: { amount: 10, currency: 'USD' },
+        originalPrice: { amount: 20, currency: 'USD' },
+        variants: [{ salePrice: { amount: 5, currency: 'USD' }, originalPrice: { amount: 6, currency: 'USD' } }],
+        shipping: [{ carrier: 'DHL', cost: { amount: 1, currency: 'USD' } }]
+    };
+
+    const converted = convertProductPrices(product, 'EUR', rates);
+    assert.deepEqual(converted.salePrice, { amount: 9, currency: 'EUR' });
+    assert.deepEqual(converted.variants[0].originalPrice, { amount: 5.4, currency: 'EUR' });
+    assert.deepEqual(converted.shipping[0].cost, { amount: 0.9, currency: 'EUR' });
+    assert.deepEqual(product.salePrice, { amount: 10, currency: 'USD' });
+});
+
+test('lists the prices a product cannot be converted with', () => {
+    const product = {
+        salePrice: { amount: 10, currency: null },
+        originalPrice: { amount: 20, currency: 'EUR' },
+        variants: [{ salePrice: { amount: 5, currency: 'ZZZ' }, originalPrice: { amount: 6, currency: 'USD' } }],
+        shipping: [{ carrier: 'DHL', cost: null }]
+    };
+
+    assert.deepEqual(conversionErrors(product, 'EUR', rates, 'products[2]'), [
+        { path: 'products[2].salePrice.currency', message: 'is required to convert to EUR' },
+        { path: 'products[2].variants[0].salePrice.currency', message: 'has no exchange rate (ZZZ)' }
+    ]);
+    assert.deepEqual(conversionErrors({ salePrice: { amount: 1, currency: 'USD' } }, 'VND', rates), []);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { normalizeProduct } from '../lib/normalize.js';
+import { SCHEMA_VERSION, validateSchema } from '../lib/openapi.js';
+
+const fixturesDir = new URL('./fixtures/products/', import.meta.url);
+
+function loadExpected(name) {
+    return JSON.parse(readFileSync(new URL(`${name}.expected.json`, fixturesDir), 'utf8'));
+}
+
+// Every parsed fixture, whichever extractor supplied it, must fit the schema
+for (const file of readdirSync(fixturesDir).filter(name => name.endsWith('.expected.json'))) {
+    const name = file.replace(/\.expected\.json$/, '');
+    const product = loadExpected(name);
+    if (product.error) continue;
+
+    test(`normalizes the ${name} fixture to the Product schema`, () => {
+        const normalized = normalizeProduct({ ...product, productId: '1005006123456789', shipTo: 'US' });
+        assert.deepEqual(validateSchema('Product', normalized), []);
+        assert.equal(normalized.schemaVersion, SCHEMA_VERSION);
+    });
+}
+
+test('coerces extractor-dependent types', () => {
+    const runParams = normalizeProduct(loadExpected('run-params'));
+    assert.equal(runParams.rating, 4.9);
+    // No discount on the page: worked out from 2.35 vs 4.70
+    assert.equal(runParams.discount, 50);
+    assert.equal(runParams.fullDescription, null);
+    assert.equal(runParams.sources.title, 'runParams');
+    assert.equal('_meta' in runParams, false);
+
+    assert.equal(normalizeProduct(loadExpected('dom')).discount, 50);
+    assert.equal(normalizeProduct(loadExpected('json-ld')).discount, 0);
+});
+
+test('fills every field of a sparse payload', () => {
+    const normalized = normalizeProduct({
+        title: 'Cable',
+        salePrice: { amount: '3.5', currency: 'usd' },
+        reviews: '1,204',
+        rating: 7,
+        discount: '-20%',
+        variants: [{ skuId: 123, stock: '5', salePrice: { amount: 3.5, currency: 'USD' } }],
+        shipping: [{ carrier: 'DHL', cost: { amount: 0, currency: 'USD' }, deliveryDays: { min: 4 } }]
+    });
+
+    assert.deepEqual(validateSchema('Product', normalized), []);
+    assert.deepEqual(normalized.salePrice, { amount: 3.5, currency: 'USD' });
+    assert.deepEqual(normalized.originalPrice, normalized.salePrice);
+    assert.equal(normalized.reviews, 1204);
+    assert.equal(normalized.rating, 5);
+    assert.equal(normalized.discount, 0);
+    assert.deepEqual(normalized.variants[0], {
+        skuId: '123',
+        optionValues: {},
+        optionValueIds: [],
+        salePrice: { amount: 3.5, currency: 'USD' },
+        originalPrice: { amount: 3.5, currency: 'USD' },
+        stock: 5,
+        available: true,
+        image: null,
+        retailPrice: null,
+        compareAtPrice: null,
+        margin: null
+    });
+    assert.equal(normalized.shipping[0].free, true);
+    assert.deepEqual(normalized.shipping[0].deliveryDays, { min: 4, max: 4 });
+    assert.equal(normalized.store, null);
+    assert.equal(normalized.productId, null);
+});
+
+test('normalizes multi-locale translations', () => {
+    const normalized = normalizeProduct({
+        ...loadExpected('json-ld'),
+        translations: {
+            vi_VN: { locale: 'vi_VN', title: 'Cáp USB C', description: 'Mô tả', specs: [{ label: 'Thương hiệu', value: 'UGREEN' }], error: null },
+            fr_FR: { locale: null, title: null, description: null, specs: [], error: 'Upstream timeout' }
+        }
+    });
+
+    assert.deepEqual(validateSchema('Product', normalized), []);
+    assert.equal(normalized.locale, 'en_US');
+    assert.equal(normalized.translations.vi_VN.title, 'Cáp USB C');
+    assert.deepEqual(normalized.translations.fr_FR, { locale: null, title: '', description: '', specs: [], error: 'Upstream timeout' });
+});
@@ -0,0 +1,65 @@
+// Regression suite: every saved page in fixtures/products/<name>.html is parsed offline
+// and compared with <name>.expected.json (or, for pages that must be rejected, the
+// expected { error: { code } }). Run with UPDATE_FIXTURES=1 to rewrite the
+// expected files after an intended change, then review the diff.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { parseProductHtml } from '../lib/parse.js';
+
+const fixturesDir = new URL('./fixtures/products/', import.meta.url);
+const fixtureUrl = 'https://www.aliexpress.com/item/1005006123456789.html';
+
+for (const file of readdirSync(fixturesDir).filter(name => name.endsWith('.html'))) {
+    const name = file.replace(/\.html$/, '');
+
+    test(`parses ${name} fixture`, () => {
+        const html = readFileSync(new URL(file, fixturesDir), 'utf8');
+        const expectedFile = new URL(`${name}.expected.json`, fixturesDir);
+        let actual;
+        try {
+            actual = parseProductHtml(html, { url: fixtureUrl, currency: 'USD' });
+        } catch (error) {
+            if (!error.code) throw error;
+            actual = { error: { code: error.code, message: error.message } };
+        }
+
+        if (process.env.UPDATE_FIXTURES) {
+            writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n');
+        }
+        assert.deepEqual(actual, JSON.parse(readFileSync(expectedFile, 'utf8')));
+    });
+}
+
+test('parseProductHtml rejects non-string input', () => {
+    assert.throws(() => parseProductHtml(null), TypeError);
+});
+
+test('the regex fallback reads comma-decimal prices', () => {
+    const page = price => `<html><head><title>Lamp - AliExpress</title></head><body><h1>Lamp</h1><script>var data = { "price": "${price}" };</script></body></html>`;
+    const parse = price => parseProductHtml(page(price), { url: fixtureUrl, currency: 'USD' });
+
+    assert.equal(parse('12,50').salePrice.amount, 12.5);
+    assert.equal(parse('12,50')._meta.sources.salePrice, 'regex');
+    assert.equal(parse('1.234,56').salePrice.amount, 1234.56);
+    assert.equal(parse('1,250').salePrice.amount, 1250);
+});
+
+test('a SKU without a quantity or price has unknown stock and the product price', () => {
+    const runParams = {
+        data: {
+            productInfoComponent: { subject: 'Desk Lamp', price: { salePrice: 'US $8.50', origPrice: 'US $10.00' } },
+            skuModule: {
+                productSKUPropertyList: [{ skuPropertyId: 14, skuPropertyName: 'Color', skuPropertyValues: [{ propertyValueId: 193, propertyValueDisplayName: 'Black' }] }],
+                skuPriceList: [{ skuId: 1, skuPropIds: '193', skuVal: {} }]
+            }
+        }
+    };
+    const html = `<html><body><script>window.runParams = ${JSON.stringify(runParams)};</script></body></html>`;
+    const [variant] = parseProductHtml(html, { url: fixtureUrl, currency: 'USD' }).variants;
+
+    assert.equal(variant.stock, null);
+    assert.equal(variant.available, true);
+    assert.deepEqual(variant.salePrice, { amount: 8.5, currency: 'USD' });
+    assert.deepEqual(variant.originalPrice, { amount: 10, currency: 'USD' });
+});
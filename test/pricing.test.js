@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createJsonStore } from '../lib/json-store.js';
+import { applyPricing, createPricingProfiles, normalizeProfile } from '../lib/pricing.js';
+
+const usd = amount => ({ amount, currency: 'USD' });
+
+const product = {
+    title: 'USB C Cable',
+    salePrice: usd(2.35),
+    originalPrice: usd(4.7),
+    shipping: [{ carrier: 'Cainiao', cost: usd(1.27) }, { carrier: 'DHL', cost: usd(3) }],
+    variants: [{ skuId: '1', salePrice: usd(2.95), originalPrice: usd(5.9) }]
+};
+
+const { profile: banded } = normalizeProfile({
+    name: 'Banded .99',
+    bands: [
+        { upTo: 5, markupPercent: 100, fixedMarkup: 1 },
+        { upTo: 20, markupPercent: 60, fixedMarkup: 0.5 },
+        { upTo: null, markupPercent: 40 }
+    ],
+    passThroughShipping: true,
+    charmEnding: 0.99
+});
+
+test('fills in profile defaults and derives the ID from the name', () => {
+    assert.deepEqual(banded.compareAt, { from: 'originalPrice', percent: 0 });
+    assert.equal(banded.id, 'banded-99');
+    assert.equal(banded.currency, null);
+    assert.deepEqual(banded.bands[2], { upTo: null, markupPercent: 40, fixedMarkup: 0 });
+});
+
+test('rejects malformed profiles and unordered bands', () => {
+    assert.deepEqual(normalizeProfile({ name: 'x', bands: [], charmEnding: 1.5 }).errors.map(error => error.path), ['bands', 'charmEnding']);
+    assert.deepEqual(normalizeProfile({ name: 'x', bands: [{ upTo: 10 }, { upTo: 5 }] }).errors, [
+        { path: 'bands[1].upTo', message: 'must be null on the last band' },
+        { path: 'bands[1].upTo', message: 'must be greater than the previous band\'s' }
+    ]);
+    assert.deepEqual(normalizeProfile({ name: '!!!', bands: [{ upTo: null }] }).errors.map(error => error.path), ['id']);
+    assert.equal(normalizeProfile(null).errors[0].message, 'must be object');
+});
+
+test('applies the price band, shipping pass-through and charm ending', () => {
+    const priced = applyPricing(product, banded);
+
+    // cost 2.35 + 1.27 = 3.62 -> 3.62 * 2 + 1 = 8.24 -> 8.99
+    assert.equal(priced.pricingProfile, 'banded-99');
+    assert.deepEqual(priced.retailPrice, usd(8.99));
+    // list price 4.70 + 1.27 = 5.97 falls in the second band -> 10.052 -> 10.99
+    assert.deepEqual(priced.compareAtPrice, usd(10.99));
+    assert.deepEqual(priced.margin, { amount: 5.37, currency: 'USD', percent: 59.7 });
+    // AliExpress prices are left alone
+    assert.deepEqual(priced.salePrice, usd(2.35));
+
+    assert.deepEqual(priced.variants[0].retailPrice, usd(9.99));
+    assert.deepEqual(priced.variants[0].compareAtPrice, usd(11.99));
+    assert.deepEqual(priced.variants[0].margin, { amount: 5.77, currency: 'USD', percent: 57.8 });
+});
+
+test('passes through only shipping options with a known cost', () => {
+    const { profile } = normalizeProfile({ name: 'Flat', bands: [{ upTo: null, markupPercent: 0 }], passThroughShipping: true });
+    const unpriced = { ...product, shipping: [{ carrier: 'DHL', cost: null }, { carrier: 'Cainiao', cost: usd(1.27) }], variants: [] };
+
+    assert.deepEqual(applyPricing(unpriced, profile).retailPrice, usd(3.62));
+    assert.deepEqual(applyPricing({ ...unpriced, shipping: [{ carrier: 'DHL', cost: null }] }, profile).retailPrice, usd(2.35));
+});
+
+test('derives the compare-at price from the retail price or leaves it out', () => {
+    const { profile } = normalizeProfile({ name: 'flat', bands: [{ upTo: null, markupPercent: 50 }], compareAt: { from: 'retailPrice', percent: 20 } });
+    const priced = applyPricing({ salePrice: usd(10), originalPrice: usd(10) }, profile);
+    assert.deepEqual(priced.retailPrice, usd(15));
+    assert.deepEqual(priced.compareAtPrice, usd(18));
+    assert.deepEqual(priced.margin, { amount: 5, currency: 'USD', percent: 33.3 });
+    assert.deepEqual(priced.variants, []);
+
+    // No discount on the page: nothing to compare against
+    assert.equal(applyPricing({ salePrice: usd(10), originalPrice: usd(10) }, banded).compareAtPrice, null);
+});
+
+test('stores, replaces and deletes profiles', async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'aliex-pricing-'));
+    try {
+        const profiles = createPricingProfiles({
+            store: createJsonStore(path.join(dir, 'pricing-profiles.json')),
+            now: () => Date.parse('2026-10-18T12:00:00Z')
+        });
+        const input = { name: 'Default', bands: [{ upTo: null, markupPercent: 50 }] };
+
+        const { profile } = await profiles.create(input);
+        assert.equal(profile.id, 'default');
+        assert.equal(profile.createdAt, '2026-10-18T12:00:00.000Z');
+        assert.deepEqual(await profiles.create(input), { conflict: true });
+        assert.equal((await profiles.create({ name: 'Bad' })).errors[0].path, 'bands');
+
+        const replaced = await profiles.replace('default', { ...input, charmEnding: 0.95 });
+        assert.equal(replaced.created, false);
+        assert.equal(replaced.profile.charmEnding, 0.95);
+        assert.equal((await profiles.replace('wholesale', input)).created, true);
+        assert.deepEqual((await profiles.list()).map(entry => entry.id), ['default', 'wholesale']);
+
+        assert.equal(await profiles.remove('default'), true);
+        assert.equal(await profiles.remove('default'), false);
+        assert.equal(await profiles.get('default'), null);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createProductFetcher } from '../lib/product.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/products/${name}.html`, import.meta.url), 'utf8');
+
+function page(html, { status = 200, url } = {}) {
+    return { ok: status < 400, status, url, headers: { get: () => null }, text: async () => html };
+}
+
+test('fetches the canonical page and fills in ID, URL and shipTo', async () => {
+    const requests = [];
+    const fetchProduct = createProductFetcher({
+        fetchImpl: async (url, options) => {
+            requests.push({ url, cookie: options.headers.Cookie, language: options.headers['Accept-Language'] });
+            return page(fixture('run-params'), { url });
+        }
+    });
+    const product = await fetchProduct('https://m.aliexpress.com/item/1005006123456789.html?spm=x', { shipTo: 'DE' });
+
+    assert.equal(requests[0].url, 'https://www.aliexpress.com/item/1005006123456789.html');
+    assert.match(requests[0].cookie, /region=DE/);
+    assert.equal(requests[0].language, 'en-US,en;q=0.9');
+    assert.equal(product.productId, '1005006123456789');
+    assert.equal(product.url, 'https://www.aliexpress.com/item/1005006123456789.html');
+    assert.equal(product.shipTo, 'DE');
+});
+
+test('fetches other languages from the regional storefront', async () => {
+    let fetched;
+    const fetchProduct = createProductFetcher({
+        fetchImpl: async url => {
+            fetched = url;
+            return page(fixture('run-params'), { url });
+        }
+    });
+    const product = await fetchProduct('1005006123456789', { locale: 'vi_VN' });
+
+    assert.equal(fetched, 'https://vi.aliexpress.com/item/1005006123456789.html');
+    assert.equal(product.url, 'https://www.aliexpress.com/item/1005006123456789.html');
+});
+
+test('retries blocked pages and gives up with the ScrapeError', async () => {
+    let attempts = 0;
+    const fetchProduct = createProductFetcher({
+        retry: { retries: 1, baseDelayMs: 0 },
+        fetchImpl: async url => {
+            attempts++;
+            return page(fixture('captcha'), { url });
+        }
+    });
+
+    await assert.rejects(fetchProduct('1005006123456789'), { code: 'CAPTCHA' });
+    assert.equal(attempts, 2);
+});
+
+test('one deadline covers every attempt of a product fetch', async () => {
+    let attempts = 0;
+    const fetchProduct = createProductFetcher({
+        timeoutMs: 50,
+        retry: { retries: 5, baseDelayMs: 0 },
+        // An upstream that never answers
+        fetchImpl: (url, options) => new Promise((resolve, reject) => {
+            attempts++;
+            const timer = setTimeout(() => resolve(page(fixture('run-params'), { url })), 60000);
+            options.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(options.signal.reason);
+            });
+        })
+    });
+
+    const started = Date.now();
+    await assert.rejects(fetchProduct('1005006123456789'), { code: 'TIMEOUT' });
+    assert.equal(attempts, 1);
+    assert.ok(Date.now() - started < 1000);
+});
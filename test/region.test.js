@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { acceptLanguage, detectLocale, localizedUrl, normalizeCountry, normalizeLocale, regionCookies } from '../lib/region.js';
+
+test('normalizes country codes and locales', () => {
+    assert.equal(normalizeCountry(' us '), 'US');
+    assert.equal(normalizeCountry('USA'), null);
+
+    assert.equal(normalizeLocale('vi_VN'), 'vi_VN');
+    assert.equal(normalizeLocale('fr-fr'), 'fr_FR');
+    assert.equal(normalizeLocale('pt'), 'pt_BR');
+    assert.equal(normalizeLocale('en_GB'), null);
+    assert.equal(normalizeLocale('klingon'), null);
+    assert.equal(normalizeLocale(undefined), null);
+});
+
+test('requests the locale through the storefront, cookie and Accept-Language', () => {
+    assert.equal(localizedUrl('https://www.aliexpress.com/item/1005006123456789.html', 'vi_VN'), 'https://vi.aliexpress.com/item/1005006123456789.html');
+    assert.equal(localizedUrl('https://www.aliexpress.com/item/1005006123456789.html', 'en_US'), 'https://www.aliexpress.com/item/1005006123456789.html');
+
+    assert.equal(acceptLanguage('vi_VN'), 'vi-VN,vi;q=0.9,en;q=0.8');
+    assert.equal(acceptLanguage(), 'en-US,en;q=0.9');
+
+    assert.equal(regionCookies({ shipTo: 'VN', locale: 'vi_VN' }), 'aep_usuc_f=site=glo&b_locale=vi_VN&c_tp=USD&region=VN; intl_locale=vi_VN');
+    assert.equal(regionCookies(), 'aep_usuc_f=site=glo&b_locale=en_US&c_tp=USD; intl_locale=en_US');
+});
+
+test('detects the language a page was served in', () => {
+    assert.equal(detectLocale('<html lang="vi"><head><meta property="og:locale" content="fr_FR"></head>'), 'fr_FR');
+    assert.equal(detectLocale('<html class="x" lang="vi-VN"><body></body></html>'), 'vi_VN');
+    assert.equal(detectLocale('<html><script>window.runParams = {"data":{"lang":"de_DE"}};</script></html>'), 'de_DE');
+    assert.equal(detectLocale('<html><body>no hints</body></html>'), null);
+});
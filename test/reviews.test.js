@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildReviewsUrl, fetchReviews, filterReviews, parseReviewsResponse } from '../lib/reviews.js';
+
+const page1 = JSON.parse(readFileSync(new URL('./fixtures/reviews/page1.json', import.meta.url), 'utf8'));
+
+test('parses reviews from a saved feedback response', () => {
+    const { total, totalPages, reviews } = parseReviewsResponse(page1);
+
+    assert.equal(total, 1284);
+    assert.equal(totalPages, 429);
+    assert.equal(reviews.length, 3);
+    assert.deepEqual(reviews[0], {
+        id: '60012345678901234',
+        stars: 5,
+        text: 'Works great, battery lasts a week.',
+        translatedText: null,
+        buyer: 'J***n',
+        country: 'US',
+        date: '12 Sep 2026',
+        sku: 'Color:Black Ships From:China ',
+        photos: ['https://ae01.alicdn.com/kf/Review1.jpg', 'https://ae01.alicdn.com/kf/Review2.jpg'],
+        helpful: 7
+    });
+    assert.equal(reviews[1].stars, 4);
+    assert.equal(reviews[1].translatedText, 'Good product, delivery a bit long.');
+    assert.deepEqual(reviews[2].photos, ['https://ae01.alicdn.com/kf/Review3.jpg']);
+});
+
+test('reports the star distribution for the whole product', () => {
+    const { breakdown } = parseReviewsResponse(page1);
+
+    assert.equal(breakdown.average, 4.8);
+    assert.equal(breakdown.total, 1284);
+    assert.deepEqual(breakdown.stars, { 1: 17, 2: 11, 3: 33, 4: 121, 5: 1102 });
+    assert.equal(breakdown.percentages[5], 85.8);
+});
+
+test('computes the distribution from the page when statistics are missing', () => {
+    const { breakdown } = parseReviewsResponse({ data: { evaViewList: page1.data.evaViewList } });
+
+    assert.deepEqual(breakdown.stars, { 1: 1, 2: 0, 3: 0, 4: 1, 5: 1 });
+    assert.equal(breakdown.average, 3.3);
+});
+
+test('filters by photos, star level and country', () => {
+    const { reviews } = parseReviewsResponse(page1);
+
+    assert.deepEqual(filterReviews(reviews, { withPhotos: true }).map(review => review.stars), [5, 1]);
+    assert.deepEqual(filterReviews(reviews, { stars: [4, 5] }).map(review => review.country), ['US', 'FR']);
+    assert.deepEqual(filterReviews(reviews, { country: 'US', stars: [1] }).map(review => review.id), ['60012345678901236']);
+});
+
+test('requests the feedback endpoint page by page', async () => {
+    assert.match(buildReviewsUrl('1005001', { page: 3, pageSize: 10, withPhotos: true }), /productId=1005001.*page=3&pageSize=10&filter=image/);
+    assert.match(buildReviewsUrl('1005001', { country: 'US' }), /&country=US$/);
+    assert.doesNotMatch(buildReviewsUrl('1005001'), /country=/);
+
+    let requested;
+    let sent;
+    const fetchImpl = async (url, options) => {
+        requested = url;
+        sent = options;
+        return { ok: true, status: 200, text: async () => JSON.stringify(page1) };
+    };
+    const agent = {};
+    const result = await fetchReviews('1005001', { page: 2 }, { agent, userAgent: 'pool-ua', fetchImpl });
+    assert.match(requested, /page=2&pageSize=20&filter=all/);
+    // Goes out through the identity the caller took from the outbound pool
+    assert.equal(sent.agent, agent);
+    assert.equal(sent.headers['User-Agent'], 'pool-ua');
+    assert.equal(result.reviews.length, 3);
+
+    await assert.rejects(
+        fetchReviews('1005001', {}, { fetchImpl: async () => ({ ok: false, status: 503, text: async () => '' }) }),
+        { code: 'UPSTREAM_ERROR', message: /status: 503/ }
+    );
+});
+
+test('reports captcha pages and non-JSON bodies from the feedback endpoint', async () => {
+    const captcha = readFileSync(new URL('./fixtures/products/captcha.html', import.meta.url), 'utf8');
+    await assert.rejects(
+        fetchReviews('1005001', {}, { fetchImpl: async url => ({ ok: true, status: 200, url, text: async () => captcha }) }),
+        { code: 'CAPTCHA', retryable: true }
+    );
+    await assert.rejects(
+        fetchReviews('1005001', {}, { fetchImpl: async url => ({ ok: true, status: 200, url, text: async () => '<html><body>Maintenance</body></html>' }) }),
+        { code: 'UPSTREAM_ERROR' }
+    );
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, formatErrors } from '../lib/schema.js';
+import { openApiDocument, validateSchema } from '../lib/openapi.js';
+
+test('reports type, required and unknown-property errors with paths', () => {
+    const schema = {
+        type: 'object',
+        required: ['url'],
+        additionalProperties: false,
+        properties: {
+            url: { type: 'string', minLength: 1 },
+            tags: { type: 'array', items: { type: 'string' } }
+        }
+    };
+
+    assert.deepEqual(validate(schema, { url: 'x', tags: ['a'] }), []);
+    assert.deepEqual(validate(schema, { tags: ['a', 2], shipto: 'US' }), [
+        { path: 'url', message: 'is required' },
+        { path: 'tags[1]', message: 'must be string' },
+        { path: 'shipto', message: 'is not allowed' }
+    ]);
+    assert.deepEqual(validate(schema, null), [{ path: '(root)', message: 'must be object' }]);
+});
+
+test('handles nullable types, enums, patterns, ranges and anyOf', () => {
+    assert.deepEqual(validate({ type: ['string', 'null'] }, null), []);
+    assert.deepEqual(validate({ type: 'number', maximum: 5 }, 4), []);
+    assert.equal(formatErrors(validate({ type: 'integer' }, 4.5)), '(root) must be integer');
+    assert.equal(formatErrors(validate({ type: 'string', pattern: '^[A-Z]{2}$' }, 'USA')), '(root) must match ^[A-Z]{2}$');
+    assert.equal(formatErrors(validate({ enum: ['full'] }, 'short')), '(root) must be one of: "full"');
+
+    const store = { anyOf: [{ type: 'object', required: ['name'] }, { type: 'null' }] };
+    assert.deepEqual(validate(store, null), []);
+    assert.deepEqual(validate(store, {}), [{ path: 'name', message: 'is required' }]);
+});
+
+test('validates requests against the published component schemas', () => {
+    assert.deepEqual(validateSchema('ProductRequest', { url: '1005006123456789', shipTo: 'us' }), []);
+    assert.deepEqual(validateSchema('ProductRequest', { url: '', currency: 'EURO', images: 'thumb' }).map(error => error.path), [
+        'url', 'currency', 'images'
+    ]);
+    assert.deepEqual(validateSchema('ProductQuery', { fresh: 'yes' }).map(error => error.path), ['fresh']);
+});
+
+test('every $ref in the OpenAPI document resolves', () => {
+    const document = openApiDocument({ serverUrl: 'https://api.example' });
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g).map(ref => ref.slice(8, -1));
+    for (const ref of new Set(refs)) {
+        const target = ref.slice(2).split('/').reduce((node, part) => node?.[part], document);
+        assert.ok(target, `${ref} resolves`);
+    }
+    assert.equal(document.servers[0].url, 'https://api.example');
+    assert.deepEqual(Object.keys(document.paths), ['/api/v2/product', '/api/v2/product/{id}', '/api/v2/parse']);
+});
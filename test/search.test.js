@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildSearchUrl, fetchSearchResults, parseSearchResults } from '../lib/search.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/search/${name}`, import.meta.url), 'utf8');
+
+test('builds keyword and category search URLs', () => {
+    assert.equal(
+        buildSearchUrl({ q: 'USB C cable', page: 2, sort: 'orders', minPrice: 1, maxPrice: 10 }),
+        'https://www.aliexpress.com/w/wholesale-usb-c-cable.html?SearchText=USB+C+cable&page=2&sortType=total_tranpro_desc&minPrice=1&maxPrice=10'
+    );
+    assert.equal(buildSearchUrl({ category: '200000343' }), 'https://www.aliexpress.com/category/200000343/products.html');
+    assert.equal(
+        buildSearchUrl({ q: 'watch', category: '200000343', sort: 'best-match' }),
+        'https://www.aliexpress.com/w/wholesale-watch.html?SearchText=watch&catId=200000343'
+    );
+    assert.throws(() => buildSearchUrl({}), /keyword or a category/);
+    assert.throws(() => buildSearchUrl({ category: 'phones' }), /Invalid category/);
+});
+
+test('parses keyword results from embedded page state', () => {
+    const page = parseSearchResults(fixture('keyword.html'));
+
+    assert.equal(page.total, 4213);
+    assert.equal(page.totalPages, 71);
+    assert.equal(page.hasNextPage, true);
+    // The sponsored copy of the cable is dropped
+    assert.deepEqual(page.products.map(product => product.id), ['1005006123456789', '1005005987654321', '1005007000000001']);
+    assert.deepEqual(page.products[0], {
+        id: '1005006123456789',
+        url: 'https://www.aliexpress.com/item/1005006123456789.html',
+        title: 'USB C To USB C Cable 100W PD Fast Charging Cord',
+        price: { amount: 2.35, currency: 'USD' },
+        image: 'https://ae01.alicdn.com/kf/Hcable1.jpg',
+        orders: 10000,
+        rating: 4.9,
+        freeShipping: true
+    });
+    assert.equal(page.products[1].freeShipping, false);
+    assert.equal(page.products[1].orders, 1200);
+    assert.equal(page.products[2].rating, null);
+    assert.equal(page.products[2].orders, null);
+});
+
+test('parses a legacy runParams category page', () => {
+    const page = parseSearchResults(fixture('category.html'));
+
+    assert.equal(page.totalPages, 2);
+    assert.equal(page.hasNextPage, false);
+    assert.deepEqual(page.products[0], {
+        id: '1005004111111111',
+        url: 'https://www.aliexpress.com/item/1005004111111111.html',
+        title: 'Smart Watch Men Women Fitness Tracker',
+        price: { amount: 19.99, currency: 'USD' },
+        image: 'https://ae01.alicdn.com/kf/Swatch1.jpg',
+        orders: 2315,
+        rating: 4.8,
+        freeShipping: true
+    });
+    assert.equal(page.products[1].rating, null);
+    assert.equal(page.products[1].freeShipping, false);
+});
+
+test('falls back to the rendered result cards', () => {
+    const page = parseSearchResults(fixture('legacy-category.html'));
+
+    assert.equal(page.totalPages, null);
+    assert.equal(page.hasNextPage, true);
+    assert.deepEqual(page.products[0], {
+        id: '1005003444444444',
+        url: 'https://www.aliexpress.com/item/1005003444444444.html',
+        title: 'Shockproof Clear Phone Case',
+        price: { amount: 1.89, currency: 'USD' },
+        image: 'https://ae01.alicdn.com/kf/Scase1.jpg_220x220.jpg',
+        orders: 5102,
+        rating: 4.6,
+        freeShipping: true
+    });
+    assert.equal(page.products[1].rating, null);
+    assert.equal(page.products[1].freeShipping, false);
+});
+
+test('fetches with the region cookie and reports captcha pages', async () => {
+    let request;
+    const results = await fetchSearchResults({ q: 'watch', page: 3 }, {
+        cookie: 'aep_usuc_f=region=US',
+        fetchImpl: async (url, options) => {
+            request = { url, options };
+            return { ok: true, status: 200, url, text: async () => fixture('category.html') };
+        }
+    });
+    assert.equal(request.url, 'https://www.aliexpress.com/w/wholesale-watch.html?SearchText=watch&page=3');
+    assert.equal(request.options.headers.Cookie, 'aep_usuc_f=region=US');
+    assert.equal(results.page, 3);
+    assert.equal(results.products.length, 2);
+
+    const captcha = readFileSync(new URL('./fixtures/products/captcha.html', import.meta.url), 'utf8');
+    await assert.rejects(
+        fetchSearchResults({ q: 'watch' }, { fetchImpl: async url => ({ ok: true, status: 200, url, text: async () => captcha }) }),
+        { code: 'CAPTCHA' }
+    );
+});
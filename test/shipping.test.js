@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractShipping } from '../lib/shipping.js';
+
+test('reads delivery options from bizData layouts', () => {
+    const options = extractShipping({
+        webGeneralFreightCalculateComponent: {
+            originalLayoutResultList: [
+                { bizData: { deliveryProviderName: 'AliExpress Standard Shipping', deliveryProviderCode: 'CAINIAO_STANDARD', displayAmount: 2.5, currency: 'USD', deliveryDayMin: 10, deliveryDayMax: 15, shipFrom: 'CN', tracking: true } },
+                { bizData: { deliveryProviderName: 'Cainiao Saver', shippingFee: 'free', currency: 'USD', deliveryDayMin: 20 } },
+                { bizData: { deliveryProviderName: 'DHL', unreachable: true } }
+            ]
+        }
+    });
+
+    assert.equal(options.length, 2);
+    assert.deepEqual(options[0], {
+        carrier: 'AliExpress Standard Shipping',
+        carrierCode: 'CAINIAO_STANDARD',
+        cost: { amount: 2.5, currency: 'USD' },
+        free: false,
+        deliveryDays: { min: 10, max: 15 },
+        estimatedDelivery: null,
+        shipsFrom: 'CN',
+        tracking: true
+    });
+    assert.deepEqual(options[1].cost, { amount: 0, currency: 'USD' });
+    assert.equal(options[1].free, true);
+    assert.deepEqual(options[1].deliveryDays, { min: 20, max: 20 });
+});
+
+test('reads the legacy runParams freight list', () => {
+    const options = extractShipping({}, {
+        data: {
+            shippingModule: {
+                freightCalculateInfo: {
+                    freightResult: [
+                        { company: 'ePacket', serviceName: 'EMS_ZX_ZX_US', freightAmount: { value: 3.2, currency: 'USD' }, time: '15-30', sendGoodsCountry: 'CN' },
+                        { company: 'China Post', serviceName: 'CPAM', isFreeShipping: true, commitDay: '60' }
+                    ]
+                }
+            }
+        }
+    });
+
+    assert.deepEqual(options.map(option => [option.carrier, option.cost, option.free]), [
+        ['ePacket', { amount: 3.2, currency: 'USD' }, false],
+        ['China Post', { amount: 0, currency: null }, true]
+    ]);
+    assert.deepEqual(options[0].deliveryDays, { min: 15, max: 30 });
+    assert.deepEqual(options[1].deliveryDays, { min: null, max: 60 });
+});
+
+test('reports a paid option without a stated amount as an unknown cost, not free', () => {
+    const [bizData] = extractShipping({ shippingComponent: { originalLayoutResultList: [{ bizData: { deliveryProviderName: 'DHL', currency: 'USD' } }] } });
+    assert.equal(bizData.cost, null);
+    assert.equal(bizData.free, false);
+
+    const [legacy] = extractShipping({ shippingModule: { freightResult: [{ company: 'ePacket' }] } });
+    assert.equal(legacy.cost, null);
+    assert.equal(legacy.free, false);
+
+    assert.deepEqual(extractShipping({}, null, { data: {} }), []);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { extractStore, extractStoreId, fetchStoreProducts, parseStoreProducts } from '../lib/store.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/stores/${name}`, import.meta.url), 'utf8');
+
+test('reads the legacy runParams storeModule', () => {
+    const store = extractStore({
+        data: {
+            storeModule: {
+                storeNum: 1101234567,
+                storeName: 'UGREEN Official Store',
+                storeURL: '//www.aliexpress.com/store/1101234567',
+                positiveRate: '97.8%',
+                followingNumber: '251.3K',
+                openedYear: 10,
+                topRatedSeller: true
+            }
+        }
+    });
+
+    assert.equal(store.id, '1101234567');
+    assert.equal(store.url, 'https://www.aliexpress.com/store/1101234567');
+    assert.equal(store.positiveFeedbackPercent, 97.8);
+    assert.equal(store.followers, 251300);
+    assert.equal(store.yearsOpen, 10);
+    assert.equal(store.topRatedSeller, true);
+    assert.equal(store.topBrand, false);
+});
+
+test('reads the newer store header and falls back to the canonical store URL', () => {
+    const store = extractStore({ storeHeaderComponent: { storeHeaderResult: { storeNum: 912345678, storeName: 'Gadgets', storeTags: ['Top Brand'] } } });
+
+    assert.equal(store.url, 'https://www.aliexpress.com/store/912345678');
+    assert.equal(store.topBrand, true);
+    assert.equal(extractStore({ data: {} }), null);
+});
+
+test('extracts store IDs from IDs and store URLs', () => {
+    assert.equal(extractStoreId('1101234567'), '1101234567');
+    assert.equal(extractStoreId('https://www.aliexpress.com/store/1101234567'), '1101234567');
+    assert.equal(extractStoreId('https://www.aliexpress.com/store/1101234567/search/3.html'), '1101234567');
+    assert.equal(extractStoreId('https://www.aliexpress.com/store/all-wholesale-products/912345.html'), '912345');
+    assert.equal(extractStoreId('https://m.aliexpress.com/store/storeHome.htm?storeId=912345'), '912345');
+    assert.equal(extractStoreId('not a store'), null);
+});
+
+test('parses a catalogue page from embedded page state', () => {
+    const page = parseStoreProducts(fixture('init-data.html'));
+
+    assert.equal(page.total, 143);
+    assert.equal(page.totalPages, 72);
+    assert.equal(page.hasNextPage, true);
+    assert.deepEqual(page.products[0], {
+        id: '1005006123456789',
+        url: 'https://www.aliexpress.com/item/1005006123456789.html',
+        title: 'USB C To USB C Cable 100W PD Fast Charging Cord',
+        price: { amount: 2.35, currency: 'USD' },
+        image: 'https://ae01.alicdn.com/kf/Hcable1.jpg',
+        orders: 10000
+    });
+    assert.equal(page.products[1].title, '65W GaN Charger "Nexode" 3 Ports');
+    assert.equal(page.products[1].orders, 1200);
+});
+
+test('parses a legacy catalogue page from the DOM', () => {
+    const page = parseStoreProducts(fixture('legacy-list.html'));
+
+    assert.equal(page.totalPages, null);
+    assert.equal(page.hasNextPage, true);
+    assert.deepEqual(page.products.map(product => product.id), ['1005004111111111', '1005004222222222']);
+    assert.deepEqual(page.products[0], {
+        id: '1005004111111111',
+        url: 'https://www.aliexpress.com/item/1005004111111111.html',
+        title: 'Smart Watch Men Women Fitness Tracker',
+        price: { amount: 19.99, currency: 'USD' },
+        image: 'https://ae01.alicdn.com/kf/Swatch1.jpg_220x220.jpg',
+        orders: 2315
+    });
+    assert.equal(page.products[1].orders, null);
+});
+
+test('fetches the requested store search page', async () => {
+    let requested;
+    let sent;
+    const fetchImpl = async (url, options) => {
+        requested = url;
+        sent = options;
+        return { ok: true, text: async () => fixture('legacy-list.html') };
+    };
+    const agent = {};
+    const page = await fetchStoreProducts('912345678', { page: 2, agent, userAgent: 'pool-ua', fetchImpl });
+
+    assert.equal(requested, 'https://www.aliexpress.com/store/912345678/search/2.html');
+    assert.equal(sent.agent, agent);
+    assert.equal(sent.headers['User-Agent'], 'pool-ua');
+    assert.equal(page.storeId, '912345678');
+    assert.equal(page.page, 2);
+    assert.equal(page.products.length, 2);
+});
+
+test('reports captcha and failed catalogue pages instead of an empty catalogue', async () => {
+    const captcha = readFileSync(new URL('./fixtures/products/captcha.html', import.meta.url), 'utf8');
+    await assert.rejects(
+        fetchStoreProducts('912345678', { fetchImpl: async url => ({ ok: true, status: 200, url, text: async () => captcha }) }),
+        { code: 'CAPTCHA', retryable: true }
+    );
+    await assert.rejects(
+        fetchStoreProducts('912345678', { fetchImpl: async url => ({ ok: false, status: 502, url, text: async () => 'Bad gateway' }) }),
+        { code: 'UPSTREAM_ERROR' }
+    );
+});
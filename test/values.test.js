@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { absoluteUrl, toNumber } from '../lib/values.js';
+
+test('reads numbers from page data strings and rejects everything else', () => {
+    assert.equal(toNumber(12), 12);
+    assert.equal(toNumber('1,234.5'), 1234.5);
+    assert.equal(toNumber('97.5%'), 97.5);
+    assert.equal(toNumber(' 42 '), 42);
+    assert.equal(toNumber(''), null);
+    assert.equal(toNumber('n/a'), null);
+    assert.equal(toNumber(Infinity), null);
+    assert.equal(toNumber(null), null);
+    assert.equal(toNumber(true), null);
+    assert.equal(toNumber({ value: 5 }), null);
+});
+
+test('makes protocol-relative and relative links absolute', () => {
+    assert.equal(absoluteUrl('//ae01.alicdn.com/kf/S1.jpg'), 'https://ae01.alicdn.com/kf/S1.jpg');
+    assert.equal(absoluteUrl('https://ae01.alicdn.com/kf/S1.jpg'), 'https://ae01.alicdn.com/kf/S1.jpg');
+    assert.equal(absoluteUrl('/item/1005001.html'), 'https://www.aliexpress.com/item/1005001.html');
+    assert.equal(absoluteUrl('img/a.png', 'https://aeproductsourcesite.alicdn.com/desc/x.html'), 'https://aeproductsourcesite.alicdn.com/desc/img/a.png');
+    assert.equal(absoluteUrl(''), null);
+    assert.equal(absoluteUrl(null), null);
+    assert.equal(absoluteUrl('http://[bad'), null);
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createJsonStore } from '../lib/json-store.js';
+import { createWatchlist, detectChanges, snapshotOf } from '../lib/watchlist.js';
+import { createSafeLookup } from '../lib/safe-fetch.js';
+import { ScrapeError } from '../lib/errors.js';
+import { checkWebhookUrl, createWebhookSender, signPayload } from '../lib/webhooks.js';
+
+const url = 'https://www.aliexpress.com/item/1005006123456789.html';
+
+function tempStore() {
+    const dir = mkdtempSync(path.join(tmpdir(), 'aliex-watch-'));
+    return { store: createJsonStore(path.join(dir, 'watchlist.json')), cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('detectChanges applies the price threshold and always reports sell-outs', () => {
+    const previous = { salePrice: 10, originalPrice: 20, stock: 50, available: true };
+
+    assert.deepEqual(detectChanges(previous, { ...previous, salePrice: 10.2 }, { pricePercent: 5 }), []);
+    assert.deepEqual(detectChanges(previous, { ...previous, salePrice: 11 }, { pricePercent: 5 }), [
+        { field: 'salePrice', from: 10, to: 11, changePercent: 10 }
+    ]);
+    assert.deepEqual(
+        detectChanges(previous, { ...previous, stock: 0, available: false }, { stockUnits: 100 }).map(change => change.field),
+        ['stock', 'available']
+    );
+    assert.deepEqual(detectChanges(null, previous), []);
+});
+
+test('records history and sends a webhook when the price moves', async () => {
+    const { store, cleanup } = tempStore();
+    const sent = [];
+    let price = 10;
+    const watchlist = createWatchlist({
+        store,
+        fetchProduct: async () => ({
+            salePrice: { amount: price, currency: 'USD' },
+            originalPrice: { amount: 20, currency: 'USD' },
+            variants: []
+        }),
+        webhooks: { send: async (event, payload, extra) => sent.push({ event, payload, extra }) }
+    });
+
+    try {
+        const item = await watchlist.add(url, { webhookUrl: 'https://hooks.test/1' });
+        assert.equal(item.id, '1005006123456789');
+
+        await watchlist.check(item.id);
+        price = 12;
+        const result = await watchlist.check(item.id);
+
+        assert.deepEqual(result.changes.map(change => change.field), ['salePrice']);
+        assert.equal((await watchlist.history(item.id)).length, 2);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].event, 'watchlist.changed');
+        assert.deepEqual(sent[0].extra, ['https://hooks.test/1']);
+
+        assert.equal(await watchlist.remove(item.id), true);
+        assert.equal(await watchlist.history(item.id), null);
+    } finally {
+        cleanup();
+    }
+});
+
+test('keeps the last snapshot when a refetch fails', async () => {
+    const { store, cleanup } = tempStore();
+    const watchlist = createWatchlist({
+        store,
+        fetchProduct: async () => {
+            throw new Error('HTTP error! status: 503');
+        }
+    });
+
+    try {
+        const item = await watchlist.add(url);
+        const result = await watchlist.check(item.id);
+        assert.equal(result.error, 'HTTP error! status: 503');
+        assert.equal((await watchlist.get(item.id)).lastError, 'HTTP error! status: 503');
+        assert.deepEqual(await watchlist.history(item.id), []);
+    } finally {
+        cleanup();
+    }
+});
+
+test('reports a delisted product as unavailable and notifies', async () => {
+    const { store, cleanup } = tempStore();
+    const sent = [];
+    let removed = false;
+    const watchlist = createWatchlist({
+        store,
+        fetchProduct: async () => {
+            if (removed) throw new ScrapeError('NOT_FOUND', 'This product is no longer available');
+            return {
+                salePrice: { amount: 10, currency: 'USD' },
+                originalPrice: { amount: 20, currency: 'USD' },
+                variants: [{ stock: 5, available: true }]
+            };
+        },
+        webhooks: { send: async (event, payload) => sent.push({ event, payload }) }
+    });
+
+    try {
+        const item = await watchlist.add(url);
+        await watchlist.check(item.id);
+        removed = true;
+        const result = await watchlist.check(item.id);
+
+        assert.equal(result.error, undefined);
+        assert.deepEqual(result.changes, [
+            { field: 'stock', from: 5, to: 0 },
+            { field: 'available', from: true, to: false }
+        ]);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].payload.current.unavailableReason, 'NOT_FOUND');
+        assert.equal(sent[0].payload.current.salePrice, 10);
+        assert.equal((await watchlist.get(item.id)).lastError, null);
+
+        // Still gone on the next run: nothing new to report
+        assert.deepEqual((await watchlist.check(item.id)).changes, []);
+        assert.equal((await watchlist.history(item.id)).length, 3);
+    } finally {
+        cleanup();
+    }
+});
+
+test('webhook requests carry a verifiable signature', async () => {
+    const requests = [];
+    const sender = createWebhookSender({
+        urls: ['https://hooks.test/a'],
+        secret: 'shh',
+        now: () => 1700000000000,
+        fetchImpl: async (target, options) => {
+            requests.push({ target, options });
+            return { ok: true };
+        }
+    });
+
+    await sender.send('watchlist.changed', { productId: '1' });
+    const { options } = requests[0];
+    assert.equal(options.headers['X-Aliex-Timestamp'], '1700000000');
+    assert.equal(options.headers['X-Aliex-Signature'], signPayload(options.body, 'shh', '1700000000'));
+});
+
+test('webhook URLs must be https and resolve to public addresses', async () => {
+    const resolveTo = address => (hostname, options, callback) => callback(null, [{ address, family: 4 }]);
+    const lookupFor = address => createSafeLookup(resolveTo(address));
+
+    assert.equal(await checkWebhookUrl('https://hooks.example/x', { lookup: lookupFor('93.184.216.34') }), null);
+    assert.match(await checkWebhookUrl('http://127.0.0.1:9/internal'), /https/);
+    assert.match(await checkWebhookUrl('/relative'), /absolute/);
+    assert.match(await checkWebhookUrl('https://user:pw@hooks.example/x'), /credentials/);
+    assert.match(await checkWebhookUrl('https://127.0.0.1/internal'), /private address/);
+    assert.match(await checkWebhookUrl('https://[::1]/internal'), /private address/);
+    assert.match(await checkWebhookUrl('https://hooks.example/x', { lookup: lookupFor('10.0.0.5') }), /private address/);
+});
+
+test('webhook deliveries give up after the timeout', async () => {
+    const sender = createWebhookSender({
+        urls: ['https://hooks.test/slow'],
+        timeoutMs: 20,
+        // A receiver that would answer after a minute
+        fetchImpl: (target, options) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve({ ok: true }), 60000);
+            options.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(options.signal.reason);
+            });
+        })
+    });
+
+    const [result] = await sender.send('watchlist.changed', { productId: '1' });
+    assert.equal(result.ok, false);
+});
+
+test('snapshots count only variants with a known stock', () => {
+    const usd = amount => ({ amount, currency: 'USD' });
+    const product = stocks => ({ salePrice: usd(5), originalPrice: usd(8), variants: stocks.map(stock => ({ stock, available: true })) });
+
+    assert.equal(snapshotOf(product([null, null]), 'now').stock, null);
+    assert.equal(snapshotOf(product([3, null]), 'now').stock, 3);
+    assert.equal(snapshotOf(product([]), 'now').stock, null);
+});